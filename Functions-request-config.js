@@ -1,4 +1,4 @@
-const fs = require("fs")
+const { bundleSource } = require("./FunctionsSandboxLibrary")
 
 // Loads environment variables from .env.enc file (if it exists)
 require("@chainlink/env-enc").config()
@@ -18,31 +18,193 @@ const ReturnType = {
   int: "int256",
   int256: "int256",
   string: "string",
+  // Packed uint256 returned by chainalysis.js, decoded into the decision, risk tier, reason & categories
+  screeningResult: "screeningResult",
+  // Per-address bitmap returned by chainalysis.js for batch requests, decoded using the addresses in args[1]
+  batchScreeningResult: "batchScreeningResult",
   bytes: "Buffer",
   Buffer: "Buffer",
 }
 
+// Modes of the HTTP requests made when simulating the source code
+const HttpMode = {
+  Live: "live",
+  // Saves each request & its response to a fixture file
+  Record: "record",
+  // Answers requests from the fixture file without network access, requests which were not recorded fail the simulation
+  Replay: "replay",
+}
+
+// Types of the args declared in argsSchema
+const ArgType = {
+  Enum: "enum",
+  // 0x prefixed address
+  Address: "address",
+  // Decimal integer, ie: an amount in wei
+  Uint: "uint",
+  String: "string",
+}
+
+// Request types understood by chainalysis.js, set as the first arg
+const RequestType = {
+  Deposit: "0",
+  Withdrawal: "1",
+  // Binary sanctioned / not sanctioned check which only requires a Chainalysis Sanctions Screening API key
+  Sanctions: "2",
+  // Screens a comma separated list of addresses passed as args[1] with a single request
+  Batch: "3",
+}
+
+// Chain ID & native asset of the network the request is made on, which are used to screen withdrawals with Chainalysis KYT.
+// Ethereum Sepolia is assumed when this config is loaded outside of a Hardhat task.
+const chainId = `${global.network?.config.chainId ?? 11155111}`
+const asset = global.network?.config.nativeCurrencySymbol ?? "ETH"
+// Timestamp in seconds of the block of a withdrawal request, which is fixed in the samples so that they keep the same
+// args & HTTP fixture file
+const timestamp = "1700000000"
+
+// Secrets read by the source code. Simulating or building a request fails when a secret which is not optional is
+// missing or empty in secrets or a perNodeSecrets entry, when a secret does not match its pattern, or when the source
+// code reads a secret which is not declared here. The Entity Risk & KYT APIs of Chainalysis require apiKey, profiles
+// which screen with another provider or API override the secrets they require.
+const secretsSchema = {
+  apiKey: {},
+  sanctionsApiKey: { optional: true },
+  riskPolicy: { optional: true, pattern: /^\s*(\{[\s\S]*\}|low|medium|high|severe)\s*$/i },
+  trmApiKey: { optional: true },
+}
+
 // Configure the request by setting the fields below
 const requestConfig = {
-  // Location of source code (only Inline is currently supported)
+  // Location of source code, Inline or Remote
   codeLocation: Location.Inline,
   // Code language (only JavaScript is currently supported)
   codeLanguage: CodeLanguage.JavaScript,
-  // String containing the source code to be executed
-  source: fs.readFileSync("./chainalysis.js").toString(),
+  // String containing the source code to be executed. chainalysis.js & the modules it imports are bundled into one
+  // source along with its source map & the size of each module (see "Bundling Source Code" in the README).
+  ...bundleSource("./chainalysis.js"),
+  // With Location.Remote, source is the URL of the bundled source code & sourceHash its SHA-256 hash (printed by npx hardhat functions-bundle).
+  // The URL must be the raw URL of a Gist revision, which always serves the same content, as the DON fetches it without checking the hash.
+  // source: "https://gist.githubusercontent.com/<user>/<gist>/raw/<revision>/chainalysis.bundle.js",
+  // sourceHash: "0x...",
   // Secrets can be accessed within the source code with `secrets.varName` (ie: secrets.apiKey). The secrets object can only contain string values.
-  secrets: { apiKey: process.env.CHAINALYSIS_API_KEY ?? "" },
+  // The optional riskPolicy secret sets the highest accepted risk tier (ie: "Medium") or a JSON policy with per-category overrides (ie: {"maxRisk":"Medium","categories":{"sanctions":"None"}}).
+  // Deposits fall back to the Sanctions Screening API when the sanctionsApiKey secret is set & the Entity Risk API is unavailable.
+  secrets: {
+    apiKey: process.env.CHAINALYSIS_API_KEY ?? "",
+    sanctionsApiKey: process.env.CHAINALYSIS_SANCTIONS_API_KEY ?? "",
+    riskPolicy: process.env.CHAINALYSIS_RISK_POLICY ?? "",
+    // API key for the TRM Labs screening provider, which is selected by passing "trm" as args[8]
+    trmApiKey: process.env.TRM_API_KEY ?? "",
+  },
+  // Secrets read by the source code, which the profiles of other providers override
+  secretsSchema,
   // Per-node secrets objects assigned to each DON member. When using per-node secrets, nodes can only use secrets which they have been assigned.
   // perNodeSecrets: [],
+  // Rule used to aggregate the outputs of the nodes when simulating a DON with `functions-simulate --nodes`, "mode" (default) or "median"
+  // aggregationMethod: "mode",
   // ETH wallet key used to sign secrets so they cannot be accessed by a 3rd party
   walletPrivateKey: process.env["PRIVATE_KEY"],
   // Args (string only array) can be accessed within the source code with `args[index]` (ie: args[0]).
-  args: ["0", "0000000000000000000000000000000000000000"], // Sample deposit request
-  // args: ["1", "0000000000000000000000000000000000000000", "1000000000"], // Sample withdraw request
-  // Expected type of the returned value
-  expectedReturnType: ReturnType.uint256,
+  // Addresses are 0x prefixed like the args sent by the CompliantVault contract.
+  args: [RequestType.Deposit, "0x0000000000000000000000000000000000000000"], // Sample deposit request
+  // Names & types of the args, in the layout sent by the CompliantVault contract. The args are checked against it before
+  // a request is simulated or built, and functions-simulate & functions-request override them by name with
+  // --arg "name=value name=value", ie: --arg "requestType=Withdrawal amount=1000000000 requestId=0x01 timestamp=1700000000"
+  argsSchema: [
+    { name: "requestType", type: ArgType.Enum, values: RequestType },
+    // A comma separated list of addresses for batch requests
+    { name: "address", type: ArgType.Address, list: true },
+    { name: "amount", type: ArgType.Uint, optional: true },
+    { name: "riskPolicy", type: ArgType.String, optional: true },
+    { name: "chainId", type: ArgType.Uint, optional: true },
+    { name: "asset", type: ArgType.String, optional: true },
+    { name: "requestId", type: ArgType.String, optional: true, pattern: /^0x[0-9a-fA-F]{1,64}$/ },
+    { name: "destination", type: ArgType.Address, optional: true },
+    { name: "provider", type: ArgType.Enum, optional: true, values: { Chainalysis: "chainalysis", TRM: "trm" } },
+    { name: "timestamp", type: ArgType.Uint, optional: true },
+  ],
+  // Expected type of the returned value, or a list of Solidity types for values encoded with Functions.encodeAbi
+  // (ie: ["bool", "uint8", "uint64"])
+  expectedReturnType: ReturnType.screeningResult,
   // Redundant URLs which point to encrypted off-chain secrets
   secretsURLs: [],
+  // Wall-clock timeout & heap limit of the simulated source code, which override the DON limits of the network
+  // timeoutMs: 10_000,
+  // maxMemoryMb: 128,
+  // Mode of the HTTP requests made when simulating the source code, defaults to the FUNCTIONS_HTTP_MODE environment variable or HttpMode.Live
+  // httpMode: HttpMode.Replay,
+  // Directory of the HTTP fixture files, one per set of args, defaults to the FUNCTIONS_HTTP_FIXTURES environment variable or test/fixtures/http
+  // httpFixturesPath: "./test/fixtures/http",
+  // Named variants of the request, whose fields replace the fields above (secrets are merged so that a profile can
+  // override a single secret). Tasks which take --configpath select one with --profile <name>, and
+  // functions-simulate --allprofiles simulates every profile & prints a summary.
+  profiles: {
+    deposit: {},
+    // The riskPolicy arg overrides the riskPolicy secret
+    "deposit-medium-risk": { args: [RequestType.Deposit, "0x0000000000000000000000000000000000000000", "0", "Medium"] },
+    "deposit-strict-policy": { secrets: { riskPolicy: '{"maxRisk":"Medium","categories":{"sanctions":"None"}}' } },
+    // Screens with TRM Labs, which only requires its own API key
+    "deposit-trm": {
+      args: [RequestType.Deposit, "0x0000000000000000000000000000000000000000", "0", "", chainId, asset, "", "", "trm"],
+      secretsSchema: { ...secretsSchema, apiKey: { optional: true }, trmApiKey: {} },
+    },
+    withdraw: {
+      args: [
+        RequestType.Withdrawal,
+        "0x0000000000000000000000000000000000000000",
+        "1000000000",
+        "",
+        chainId,
+        asset,
+        "0x01",
+        "",
+        "",
+        timestamp,
+      ],
+    },
+    "withdraw-large": {
+      args: [
+        RequestType.Withdrawal,
+        "0x0000000000000000000000000000000000000000",
+        "1000000000000000000000",
+        "",
+        chainId,
+        asset,
+        "0x02",
+        "",
+        "",
+        timestamp,
+      ],
+    },
+    // Screens both the sender & the recipient of the withdrawal
+    "withdraw-to-recipient": {
+      args: [
+        RequestType.Withdrawal,
+        "0x0000000000000000000000000000000000000000",
+        "1000000000",
+        "",
+        chainId,
+        asset,
+        "0x03",
+        "0x0000000000000000000000000000000000000001",
+        "",
+        timestamp,
+      ],
+    },
+    // Only requires a Sanctions Screening API key
+    sanctions: {
+      args: [RequestType.Sanctions, "0x0000000000000000000000000000000000000000"],
+      secretsSchema: { ...secretsSchema, apiKey: { optional: true }, sanctionsApiKey: {} },
+    },
+    batch: {
+      args: [
+        RequestType.Batch,
+        "0x0000000000000000000000000000000000000000,0x0000000000000000000000000000000000000001",
+      ],
+      expectedReturnType: ReturnType.batchScreeningResult,
+    },
+  },
 }
 
 module.exports = requestConfig
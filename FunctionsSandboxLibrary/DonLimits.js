@@ -0,0 +1,71 @@
+"use strict"
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.DonLimitError =
+  exports.getDonLimits =
+  exports.DonLimitEnvOverrides =
+  exports.DefaultDonLimitProfile =
+  exports.DonLimitProfiles =
+    void 0
+// Limits enforced by a DON when executing a request, by profile name. The donLimits field of a request config selects a
+// profile, requests without one use the default profile.
+exports.DonLimitProfiles = {
+  // Limits of the DONs on the Sepolia, Mumbai & Fuji testnets
+  beta: {
+    // Maximum number of HTTP requests made by the source code
+    maxHttpQueries: 5,
+    // Maximum size of the returned Buffer
+    maxResponseBytes: 256,
+    // Maximum wall-clock runtime of the source code
+    timeoutMs: 10000,
+    // Maximum heap size of the source code
+    maxMemoryMb: 128,
+    // Maximum timeout of an HTTP request
+    maxHttpRequestTimeoutMs: 9000,
+    // Maximum length of an HTTP request URL, including the query params
+    maxHttpRequestUrlLength: 2048,
+    // Maximum size of an HTTP request body
+    maxHttpRequestBodyBytes: 2000,
+    // Maximum size of an HTTP response body
+    maxHttpResponseBytes: 2000000,
+    // Maximum size of the source code sent on-chain with a request
+    maxRequestBytes: 30000,
+  },
+}
+exports.DefaultDonLimitProfile = "beta"
+// Environment variables which override a limit of every profile, as they set these limits before the profiles existed
+exports.DonLimitEnvOverrides = {
+  maxResponseBytes: "DEFAULT_MAX_RESPONSE_BYTES",
+  maxHttpQueries: "DEFAULT_MAX_HTTP_QUERIES",
+  timeoutMs: "DEFAULT_TIMEOUT_MS",
+  maxMemoryMb: "DEFAULT_MAX_MEMORY_MB",
+}
+const getDonLimits = (profile = exports.DefaultDonLimitProfile) => {
+  if (!Object.keys(exports.DonLimitProfiles).includes(profile)) {
+    throw Error(
+      `Unknown DON limit profile ${profile}, expected one of ${Object.keys(exports.DonLimitProfiles).join(", ")}`
+    )
+  }
+  const limits = { ...exports.DonLimitProfiles[profile] }
+  for (const [limit, envVar] of Object.entries(exports.DonLimitEnvOverrides)) {
+    const value = process.env[envVar]
+    if (value === undefined || value === "") {
+      continue
+    }
+    if (!/^[0-9]+$/.test(value)) {
+      throw Error(`${envVar} environment variable is not a positive integer`)
+    }
+    limits[limit] = parseInt(value)
+  }
+  return limits
+}
+exports.getDonLimits = getDonLimits
+// Thrown when the source code exceeds one of the DON limits, limit is the name of the limit in the profile
+class DonLimitError extends Error {
+  constructor(limit, message) {
+    super(message)
+    this.limit = limit
+    this.name = DonLimitError.Name
+  }
+}
+exports.DonLimitError = DonLimitError
+DonLimitError.Name = "DonLimitExceeded"
@@ -8,18 +8,55 @@ var _a
 Object.defineProperty(exports, "__esModule", { value: true })
 exports.FunctionsModule = void 0
 const axios_1 = __importDefault(require("axios"))
+const util_1 = __importDefault(require("util"))
+const crypto_1 = __importDefault(require("crypto"))
+const abi_1 = require("@ethersproject/abi")
+const HttpFixtures_1 = require("./HttpFixtures")
+const DonLimits_1 = require("./DonLimits")
 class FunctionsModule {
   constructor() {
-    this.buildFunctionsmodule = (numAllowedQueries) => {
+    // Record of every HTTP request made by the user's code, see userHttpQueries
+    this.httpQueries = []
+    // limit is the name of the DON limit which made the request fail, if any
+    this.recordHttpQuery = (query, start, result, limit) => {
+      const response = result.error ? result.response : result
+      const httpQuery = {
+        ...query,
+        status: response?.status,
+        duration: Date.now() - start,
+        responseBytes: _a.getResponseBytes(response?.data),
+        error: result.error,
+        ...(limit && { limit }),
+      }
+      this.httpQueries.push(httpQuery)
+    }
+    // httpFixtures is only set when simulating requests to record or replay HTTP requests, see HttpFixtures. limits are
+    // the DON limits enforced on each HTTP request, see DonLimits. redirects are only set when simulating requests, see
+    // redirectUrl. maxHttpQueries exposes numAllowedQueries, so that the source code can keep within the HTTP query limit.
+    this.buildFunctionsmodule = (numAllowedQueries, secrets, httpFixtures, limits, redirects) => {
       return {
-        makeHttpRequest: this.makeHttpRequestFactory(numAllowedQueries),
-        encodeUint256: FunctionsModule.encodeUint256,
-        encodeInt256: FunctionsModule.encodeInt256,
-        encodeString: FunctionsModule.encodeString,
+        makeHttpRequest: this.makeHttpRequestFactory(numAllowedQueries, secrets, httpFixtures, limits, redirects),
+        maxHttpQueries: numAllowedQueries,
+        ...FunctionsModule.encoders,
       }
     }
-    this.makeHttpRequestFactory = (maxHttpRequests) => {
+    this.makeHttpRequestFactory = (
+      maxHttpRequests,
+      secrets = {},
+      httpFixtures,
+      limits = (0, DonLimits_1.getDonLimits)(),
+      redirects = {}
+    ) => {
       let totalHttpRequests = 0
+      // Requests which exceed a limit are recorded before failing, so that the limit is reported
+      const failWithLimit = ({ url, params, method }, limit, message) => {
+        const query = {
+          method: `${method}`.toUpperCase(),
+          url: _a.redactSecrets(axios_1.default.getUri({ url, params }), secrets),
+        }
+        this.recordHttpQuery(query, Date.now(), { error: true }, limit)
+        throw new DonLimits_1.DonLimitError(limit, message)
+      }
       return async ({
         url,
         method = "get",
@@ -33,28 +70,51 @@ class FunctionsModule {
         if (totalHttpRequests < maxHttpRequests) {
           totalHttpRequests++
           let result
-          if (timeout > 9000) {
-            throw Error("HTTP request timeout >9000")
+          if (timeout > limits.maxHttpRequestTimeoutMs) {
+            failWithLimit(
+              { url, params, method },
+              "maxHttpRequestTimeoutMs",
+              `HTTP request timeout >${limits.maxHttpRequestTimeoutMs}`
+            )
+          }
+          if (url.length > limits.maxHttpRequestUrlLength) {
+            failWithLimit(
+              { url, params, method },
+              "maxHttpRequestUrlLength",
+              `HTTP request URL length >${limits.maxHttpRequestUrlLength}`
+            )
           }
-          if (url.length > 2048) {
-            throw Error("HTTP request URL length >2048")
+          const query = {
+            method: method.toUpperCase(),
+            url: _a.redactSecrets(axios_1.default.getUri({ url, params }), secrets),
+            ...(data !== undefined && { bodyHash: _a.getBodyHash(data, secrets) }),
+          }
+          const start = Date.now()
+          if (httpFixtures?.mode === HttpFixtures_1.HttpMode.Replay) {
+            result = httpFixtures.replay(query)
+            this.recordHttpQuery(query, start, result)
+            return result
           }
           try {
             result = await (0, axios_1.default)({
               method: method.toLowerCase(),
-              url,
+              url: _a.redirectUrl(url, redirects),
               params,
               headers,
               data,
               timeout,
               responseType,
-              maxBodyLength: 2000,
-              maxContentLength: 2000000, // Max response size: 2 megabytes
+              maxBodyLength: limits.maxHttpRequestBodyBytes,
+              maxContentLength: limits.maxHttpResponseBytes,
             })
             // Delete the request to avoid exposing system information to the user's code
             delete result.request
             delete result.config
             result.error = false
+            this.recordHttpQuery(query, start, result)
+            if (httpFixtures?.mode === HttpFixtures_1.HttpMode.Record) {
+              httpFixtures.record(_a.getRecordedRequest(query, data, secrets), result)
+            }
             return result
           } catch (untypedError) {
             const error = untypedError
@@ -64,15 +124,22 @@ class FunctionsModule {
               delete error.response.request
             }
             error.error = true
+            this.recordHttpQuery(query, start, error, _a.getExceededLimit(error))
+            if (httpFixtures?.mode === HttpFixtures_1.HttpMode.Record) {
+              httpFixtures.record(_a.getRecordedRequest(query, data, secrets), error)
+            }
             return error
           }
         }
-        throw Error("exceeded numAllowedQueries")
+        failWithLimit({ url, params, method }, "maxHttpQueries", "exceeded numAllowedQueries")
       }
     }
   }
+  // HTTP requests made by the user's code, in the order they were made. The URL includes the query params & has every
+  // secret value redacted, bodyHash is only set for requests with a body (see getBodyHash) & the response size in bytes
+  // is measured on the decoded response data.
   get userHttpQueries() {
-    return []
+    return this.httpQueries.map((query) => ({ ...query }))
   }
 }
 exports.FunctionsModule = FunctionsModule
@@ -129,6 +196,108 @@ FunctionsModule.encodeString = (result) => {
   }
   return Buffer.from(result)
 }
+FunctionsModule.encodeBool = (result) => {
+  if (typeof result !== "boolean") {
+    throw Error("encodeBool invalid input")
+  }
+  return _a.encodeUint256(result ? 1 : 0)
+}
+FunctionsModule.encodeAddress = (result) => {
+  if (typeof result !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(result)) {
+    throw Error("encodeAddress invalid input")
+  }
+  return Buffer.from(result.slice(2).padStart(64, "0"), "hex")
+}
+// Takes a 0x prefixed hex string or a Buffer of up to 32 bytes, which is right padded with zeros like a Solidity bytes32
+FunctionsModule.encodeBytes32 = (result) => {
+  let bytes
+  if (typeof result === "string" && /^0x([0-9a-fA-F]{2})*$/.test(result)) {
+    bytes = Buffer.from(result.slice(2), "hex")
+  } else if (util_1.default.types.isUint8Array(result)) {
+    bytes = Buffer.from(result)
+  } else {
+    throw Error("encodeBytes32 invalid input")
+  }
+  if (bytes.length > 32) {
+    throw Error("encodeBytes32 invalid input")
+  }
+  return Buffer.concat([bytes, Buffer.alloc(32 - bytes.length)])
+}
+// ABI encodes the values as the given list of Solidity types, like abi.encode. Tuples & arrays are supported, e.g.
+// encodeAbi(["bool", "uint8", "tuple(address,uint64)[]"], [true, 2, [[address, timestamp]]]).
+FunctionsModule.encodeAbi = (types, values) => {
+  if (!Array.isArray(types) || !Array.isArray(values) || types.length !== values.length) {
+    throw Error("encodeAbi invalid input")
+  }
+  let hex
+  try {
+    hex = abi_1.defaultAbiCoder.encode(types, values)
+  } catch (untypedError) {
+    const error = untypedError
+    throw Error(`encodeAbi invalid input: ${error.reason ?? error.message}`)
+  }
+  return Buffer.from(hex.slice(2), "hex")
+}
+FunctionsModule.redactSecrets = (text, secrets) => {
+  let redacted = text
+  for (const secret of Object.values(secrets ?? {})) {
+    if (typeof secret !== "string" || secret.length === 0) {
+      continue
+    }
+    for (const value of new Set([
+      secret,
+      encodeURIComponent(secret),
+      new URLSearchParams({ s: secret }).toString().slice(2),
+      JSON.stringify(secret).slice(1, -1),
+    ])) {
+      redacted = redacted.split(value).join("[REDACTED]")
+    }
+  }
+  return redacted
+}
+// Rewrites the start of a URL which starts with a key of redirects into its value, so that simulations can send the HTTP
+// requests of unchanged source code to other hosts such as local stub servers. The requests are recorded with their
+// original URL.
+FunctionsModule.redirectUrl = (url, redirects) => {
+  const prefix = Object.keys(redirects ?? {}).find((from) => url.startsWith(from))
+  return prefix === undefined ? url : redirects[prefix] + url.slice(prefix.length)
+}
+// Request saved to HTTP fixture files, the request headers are left out as they usually hold API keys
+FunctionsModule.getRecordedRequest = (query, data, secrets) => {
+  const request = { method: query.method, url: query.url }
+  if (data === undefined) {
+    return request
+  }
+  return { ...request, data: JSON.parse(_a.redactSecrets(JSON.stringify(data), secrets)) }
+}
+// Short hash of a request body with the secret values redacted, which tells apart requests to the same URL with
+// different bodies without exposing the body
+FunctionsModule.getBodyHash = (data, secrets) => {
+  const body = typeof data === "string" ? data : JSON.stringify(data)
+  return crypto_1.default.createHash("sha256").update(_a.redactSecrets(body, secrets)).digest("hex").slice(0, 16)
+}
+// Name of the DON limit which made axios fail the request, if any
+FunctionsModule.getExceededLimit = (error) => {
+  if (error.message === "Request body larger than maxBodyLength limit") {
+    return "maxHttpRequestBodyBytes"
+  }
+  if (/^maxContentLength size of \d+ exceeded$/.test(error.message ?? "")) {
+    return "maxHttpResponseBytes"
+  }
+  return undefined
+}
+FunctionsModule.getResponseBytes = (data) => {
+  if (data === undefined || data === null) {
+    return 0
+  }
+  if (typeof data === "string") {
+    return Buffer.byteLength(data)
+  }
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+    return data.byteLength
+  }
+  return Buffer.byteLength(JSON.stringify(data))
+}
 FunctionsModule.encodePosSignedInt = (int) => {
   const hex = int.toString(16).padStart(64, "0")
   return Buffer.from(hex, "hex")
@@ -141,3 +310,13 @@ FunctionsModule.encodeNegSignedInt = (int) => {
 FunctionsModule.maxUint256 = BigInt("115792089237316195423570985008687907853269984665640564039457584007913129639935")
 FunctionsModule.maxPosInt256 = BigInt("57896044618658097711785492504343953926634992332820282019728792003956564819967")
 FunctionsModule.maxNegInt256 = BigInt("-57896044618658097711785492504343953926634992332820282019728792003956564819968")
+// Encoding functions exposed to the source code in the Functions library
+FunctionsModule.encoders = {
+  encodeUint256: _a.encodeUint256,
+  encodeInt256: _a.encodeInt256,
+  encodeString: _a.encodeString,
+  encodeBool: _a.encodeBool,
+  encodeAddress: _a.encodeAddress,
+  encodeBytes32: _a.encodeBytes32,
+  encodeAbi: _a.encodeAbi,
+}
@@ -0,0 +1,94 @@
+"use strict"
+var __importDefault =
+  (this && this.__importDefault) ||
+  function (mod) {
+    return mod && mod.__esModule ? mod : { default: mod }
+  }
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.HttpFixtures = exports.HttpMode = void 0
+const fs_1 = __importDefault(require("fs"))
+const path_1 = __importDefault(require("path"))
+const crypto_1 = __importDefault(require("crypto"))
+var HttpMode
+;(function (HttpMode) {
+  // HTTP requests are sent to the network
+  HttpMode["Live"] = "live"
+  // HTTP requests are sent to the network & saved to a fixture file along with their responses
+  HttpMode["Record"] = "record"
+  // HTTP requests are answered from a fixture file without any network access
+  HttpMode["Replay"] = "replay"
+})((HttpMode = exports.HttpMode || (exports.HttpMode = {})))
+// Saves & serves the HTTP requests made by the source code for one set of args. Requests are matched on their method &
+// URL (with secrets redacted) in the order they were recorded. Request bodies are saved for reference but not matched,
+// as they can contain values which change on every run such as timestamps.
+class HttpFixtures {
+  constructor(mode, file) {
+    this.mode = mode
+    this.file = file
+    this.interactions = []
+    this.replayed = new Set()
+    if (mode === HttpMode.Replay) {
+      if (!fs_1.default.existsSync(file)) {
+        throw Error(`HTTP fixture file ${file} not found, record it first with the "record" HTTP mode`)
+      }
+      this.interactions = JSON.parse(fs_1.default.readFileSync(file).toString())
+    }
+  }
+  // Fixture files are named after a hash of the args, so each request made with different args has its own file
+  static getFixtureFile(directory, args) {
+    const hash = crypto_1.default
+      .createHash("sha256")
+      .update(JSON.stringify(args ?? []))
+      .digest("hex")
+    return path_1.default.join(directory, `${hash.slice(0, 16)}.json`)
+  }
+  record(request, result) {
+    const interaction = { request }
+    if (result.error) {
+      interaction.error = { code: result.code, message: result.message }
+      if (result.response) {
+        interaction.response = HttpFixtures.toRecordedResponse(result.response)
+      }
+    } else {
+      interaction.response = HttpFixtures.toRecordedResponse(result)
+    }
+    this.interactions.push(interaction)
+    fs_1.default.mkdirSync(path_1.default.dirname(this.file), { recursive: true })
+    fs_1.default.writeFileSync(this.file, JSON.stringify(this.interactions, null, 2) + "\n")
+  }
+  // Returns the result of the first matching request which has not been replayed yet, in the same shape as
+  // makeHttpRequest. Throws if the request was not recorded.
+  replay(request) {
+    const index = this.interactions.findIndex(
+      (interaction, i) =>
+        !this.replayed.has(i) &&
+        interaction.request.method === request.method &&
+        interaction.request.url === request.url
+    )
+    if (index === -1) {
+      const error = Error(
+        `No recorded response for HTTP request ${request.method} ${request.url} in fixture file ${this.file}`
+      )
+      error.name = HttpFixtures.ReplayErrorName
+      throw error
+    }
+    this.replayed.add(index)
+    const { response, error } = this.interactions[index]
+    if (error) {
+      return { ...error, response, error: true }
+    }
+    return { ...response, error: false }
+  }
+  static toRecordedResponse(response) {
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: { ...response.headers },
+      data: response.data,
+    }
+  }
+}
+exports.HttpFixtures = HttpFixtures
+HttpFixtures.ReplayErrorName = "HttpReplayError"
+// Fixture files are saved to this directory, relative to the current working directory, unless another one is set
+HttpFixtures.DefaultDirectory = "test/fixtures/http"
@@ -1,59 +1,76 @@
 "use strict"
+var __importDefault =
+  (this && this.__importDefault) ||
+  function (mod) {
+    return mod && mod.__esModule ? mod : { default: mod }
+  }
 Object.defineProperty(exports, "__esModule", { value: true })
-exports.Log = void 0
+exports.Log = exports.MemorySink = exports.FileSink = exports.ConsoleSink = void 0
+const fs_1 = __importDefault(require("fs"))
+const async_hooks_1 = require("async_hooks")
+const Functions_1 = require("./Functions")
+// A sink receives each log entry { logLevel, timestamp, message, requestId } once its secrets have been scrubbed
+class ConsoleSink {
+  write(entry) {
+    console.log(JSON.stringify(entry))
+  }
+}
+exports.ConsoleSink = ConsoleSink
+// Appends each entry to a file as a line of JSON
+class FileSink {
+  constructor(file) {
+    this.file = file
+  }
+  write(entry) {
+    fs_1.default.appendFileSync(this.file, JSON.stringify(entry) + "\n")
+  }
+}
+exports.FileSink = FileSink
+// Keeps the entries in memory, for tests
+class MemorySink {
+  constructor() {
+    this.entries = []
+  }
+  write(entry) {
+    this.entries.push(entry)
+  }
+}
+exports.MemorySink = MemorySink
 class Log {}
 exports.Log = Log
-Log.error = (message, requestId) =>
-  console.log(
-    JSON.stringify({
-      logLevel: "error",
-      timestamp: Date.now(),
-      message,
-      requestId,
-    })
-  )
-Log.warn = (message, requestId) =>
-  console.log(
-    JSON.stringify({
-      logLevel: "warn",
-      timestamp: Date.now(),
-      message,
-      requestId,
-    })
-  )
+Log.sinks = process.env["LOG_FILE"] ? [new FileSink(process.env["LOG_FILE"])] : [new ConsoleSink()]
+Log.setSinks = (sinks) => {
+  Log.sinks = sinks
+}
+Log.context = new async_hooks_1.AsyncLocalStorage()
+// Runs fn with a log context, every entry written until it settles is tagged with context.requestId (unless another
+// requestId is given) & has every value of context.secrets scrubbed from its message
+Log.runWithContext = (context, fn) => Log.context.run(context, fn)
+Log.write = (logLevel, message, requestId) => {
+  const context = Log.context.getStore()
+  const text = typeof message === "string" ? message : `${JSON.stringify(message)}`
+  const entry = {
+    logLevel,
+    timestamp: Date.now(),
+    message: Functions_1.FunctionsModule.redactSecrets(text, context?.secrets),
+    requestId: requestId ?? context?.requestId,
+  }
+  Log.sinks.forEach((sink) => sink.write(entry))
+}
+Log.error = (message, requestId) => Log.write("error", message, requestId)
+Log.warn = (message, requestId) => Log.write("warn", message, requestId)
 Log.info = (message, requestId) => {
   if (process.env["LOG_LEVEL"] && process.env["LOG_LEVEL"]?.toLowerCase() !== "false") {
-    console.log(
-      JSON.stringify({
-        logLevel: "info",
-        timestamp: Date.now(),
-        message,
-        requestId,
-      })
-    )
+    Log.write("info", message, requestId)
   }
 }
 Log.debug = (message, requestId) => {
   if (process.env["LOG_LEVEL"]?.toLowerCase() === "debug" || process.env["LOG_LEVEL"]?.toLowerCase() === "trace") {
-    console.log(
-      JSON.stringify({
-        logLevel: "debug",
-        timestamp: Date.now(),
-        message,
-        requestId,
-      })
-    )
+    Log.write("debug", message, requestId)
   }
 }
 Log.trace = (message, requestId) => {
   if (process.env["LOG_LEVEL"]?.toLowerCase() === "trace") {
-    console.log(
-      JSON.stringify({
-        logLevel: "trace",
-        timestamp: Date.now(),
-        message,
-        requestId,
-      })
-    )
+    Log.write("trace", message, requestId)
   }
 }
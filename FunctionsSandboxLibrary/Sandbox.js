@@ -5,58 +5,71 @@ var __importDefault =
     return mod && mod.__esModule ? mod : { default: mod }
   }
 Object.defineProperty(exports, "__esModule", { value: true })
-exports.SandboxError = exports.Sandbox = void 0
+exports.Sandbox = void 0
 const fs_1 = __importDefault(require("fs"))
 const os_1 = __importDefault(require("os"))
 const path_1 = __importDefault(require("path"))
-const vm2_1 = require("vm2")
-const Functions_1 = require("./Functions")
+const HttpFixtures_1 = require("./HttpFixtures")
+const SandboxBackends_1 = require("./SandboxBackends")
+const SandboxError_1 = require("./SandboxError")
+Object.defineProperty(exports, "SandboxError", {
+  enumerable: true,
+  get: function () {
+    return SandboxError_1.SandboxError
+  },
+})
 class Sandbox {
-  constructor(disableTmpClearing, enableSandboxedLogging) {
+  constructor(
+    disableTmpClearing,
+    enableSandboxedLogging,
+    httpMode = HttpFixtures_1.HttpMode.Live,
+    httpFixtureFile,
+    backend = SandboxBackends_1.SandboxBackendType.Process,
+    httpRedirects = {}
+  ) {
     this.disableTmpClearing = disableTmpClearing
     this.enableSandboxedLogging = enableSandboxedLogging
+    this.httpMode = httpMode
+    this.httpFixtureFile = httpFixtureFile
+    // Only set when simulating requests, see FunctionsModule.redirectUrl
+    this.httpRedirects = httpRedirects
+    if (!SandboxBackends_1.SandboxBackends[backend]) {
+      throw Error(`Unknown sandbox backend ${backend}`)
+    }
+    if (backend === SandboxBackends_1.SandboxBackendType.Process && !SandboxBackends_1.ProcessBackend.isSupported()) {
+      throw Error(
+        `The ${backend} sandbox backend requires Node.js 20 or later, which can restrict the user's code with the --experimental-permission flag`
+      )
+    }
+    this.backend = SandboxBackends_1.SandboxBackends[backend]
   }
-  async evaluate(numAllowedQueries, javascriptString, args, secrets) {
-    const functionsModule = new Functions_1.FunctionsModule()
-    const Functions = functionsModule.buildFunctionsmodule(numAllowedQueries)
+  // Runs the user's code with the sandbox backend (see SandboxBackends.js), which terminates it once timeoutMs have
+  // elapsed & limits its heap to maxMemoryMb. HTTP requests are subject to the other DON limits (see DonLimits.js).
+  async evaluate(numAllowedQueries, javascriptString, args, secrets, timeoutMs, maxMemoryMb, limits) {
     // Clear the tmp directory before running the untrusted code to ensure
     // it does not have access to any cached data from the previously run script
     // in the case that the previous script exited prematurely.
     this.clearTmpDirectory()
-    const vm = new vm2_1.NodeVM({
-      sandbox: { args, secrets, Functions },
-      console: `${this.enableSandboxedLogging ? "inherit" : "off"}`,
-      eval: false,
-      wasm: false,
-      require: {
-        builtin: ["buffer", "crypto", "querystring", "string_decoder", "url", "util"],
-      },
-    })
-    let functionScript
-    // Try to compile the provided JavaScript code.
-    try {
-      functionScript = new vm2_1.VMScript("module.exports = async function () {\n" + javascriptString + "\n}").compile()
-    } catch (untypedError) {
-      const error = untypedError
-      throw new SandboxError(error.name, error.message, error.stack)
-    }
     if (this.enableSandboxedLogging) {
       console.log("\n__Console log messages from sandboxed code__")
     }
-    // Try to run the provided JavaScript code.
-    let sandboxedFunction
-    let result
-    try {
-      sandboxedFunction = await vm.run(functionScript)
-      result = await sandboxedFunction()
-    } catch (untypedError) {
-      const error = untypedError
-      throw new SandboxError(error.name, error.message, error.stack, functionsModule.userHttpQueries)
-    }
+    const output = await this.backend.run({
+      numAllowedQueries,
+      javascriptString,
+      args,
+      secrets,
+      enableSandboxedLogging: this.enableSandboxedLogging,
+      httpMode: this.httpMode,
+      httpFixtureFile: this.httpFixtureFile,
+      httpRedirects: this.httpRedirects,
+      timeoutMs,
+      maxMemoryMb,
+      limits,
+    })
     // Clear the tmp directory after running the code to ensure it does not
     // leave any cached data on the FaaS instance.
     this.clearTmpDirectory()
-    return { result, userHttpQueries: functionsModule.userHttpQueries }
+    return output
   }
   clearTmpDirectory() {
     if (this.disableTmpClearing) {
@@ -70,12 +83,3 @@ class Sandbox {
   }
 }
 exports.Sandbox = Sandbox
-class SandboxError {
-  constructor(name, message, details, userHttpQueries) {
-    this.name = name
-    this.message = message
-    this.details = details
-    this.userHttpQueries = userHttpQueries
-  }
-}
-exports.SandboxError = SandboxError
@@ -0,0 +1,215 @@
+"use strict"
+var __importDefault =
+  (this && this.__importDefault) ||
+  function (mod) {
+    return mod && mod.__esModule ? mod : { default: mod }
+  }
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.SandboxBackends = exports.WorkerBackend = exports.ProcessBackend = exports.SandboxBackendType = void 0
+const child_process_1 = __importDefault(require("child_process"))
+const path_1 = __importDefault(require("path"))
+const worker_threads_1 = require("worker_threads")
+const Functions_1 = require("./Functions")
+const HttpFixtures_1 = require("./HttpFixtures")
+const SandboxError_1 = require("./SandboxError")
+var SandboxBackendType
+;(function (SandboxBackendType) {
+  // The user's code runs in a child process with code generation from strings disabled, no environment variables, no file
+  // system writes, child processes or worker threads. It requires the permission model of Node.js 20 or later.
+  SandboxBackendType["Process"] = "process"
+  // The user's code runs in a worker thread of the host process without its environment variables, in a realm hardened
+  // against code generation (see hardenRealm). It starts faster but shares the process & its permissions with the host,
+  // so it must only be used for trusted source code.
+  SandboxBackendType["Worker"] = "worker"
+})((SandboxBackendType = exports.SandboxBackendType || (exports.SandboxBackendType = {})))
+const runnerFile = path_1.default.join(__dirname, "SandboxRunner.js")
+// First line & error message of the report printed by V8 when the heap limit is reached
+const outOfMemoryReport = ["<--- Last few GCs --->", "JavaScript heap out of memory"]
+// Each backend implements run(options), which starts SandboxRunner.js in isolation from the host, sends it the user's
+// code, makes its HTTP requests & resolves with { result, userHttpQueries }. It rejects with a SandboxError if the code
+// throws, runs for longer than options.timeoutMs or grows its heap beyond options.maxMemoryMb.
+class ProcessBackend {
+  run(options) {
+    return runSandbox(options, (onMessage, onExit) => {
+      const child = child_process_1.default.fork(runnerFile, [], {
+        execArgv: [
+          `--max-old-space-size=${options.maxMemoryMb}`,
+          "--disallow-code-generation-from-strings",
+          "--no-warnings",
+          // The runner only reads the library & its dependencies
+          "--experimental-permission",
+          `--allow-fs-read=${__dirname}`,
+          `--allow-fs-read=${path_1.default.dirname(path_1.default.dirname(require.resolve("axios/package.json")))}`,
+        ],
+        env: {},
+        stdio: ["ignore", "inherit", "pipe", "ipc"],
+        serialization: "advanced",
+      })
+      // stderr is passed through line by line with the secrets redacted, until V8 starts reporting that the heap limit
+      // was reached, which is reported as an OutOfMemory error instead. The end of the previous chunk is kept in case
+      // the report is split across chunks.
+      let outOfMemory = false
+      let outOfMemoryReported = false
+      let stderrTail = ""
+      let stderrLine = ""
+      const writeStderr = (text) => {
+        if (!outOfMemoryReported && text.length > 0) {
+          process.stderr.write(Functions_1.FunctionsModule.redactSecrets(text, options.secrets))
+        }
+      }
+      child.stderr.on("data", (chunk) => {
+        const output = stderrTail + chunk.toString()
+        outOfMemoryReported = outOfMemoryReported || outOfMemoryReport.some((line) => output.includes(line))
+        outOfMemory = outOfMemory || output.includes(outOfMemoryReport[1])
+        stderrTail = output.slice(-100)
+        const lines = stderrLine + chunk.toString()
+        const end = lines.lastIndexOf("\n") + 1
+        stderrLine = lines.slice(end)
+        writeStderr(lines.slice(0, end))
+      })
+      child.stderr.on("end", () => writeStderr(stderrLine))
+      child.on("message", onMessage)
+      child.on("error", (error) => onExit({ error }))
+      child.on("exit", (exitCode, signal) => onExit({ exitCode: exitCode ?? signal, outOfMemory }))
+      return {
+        send: (message) => child.connected && child.send(message),
+        kill: () => child.kill("SIGKILL"),
+      }
+    })
+  }
+}
+exports.ProcessBackend = ProcessBackend
+// The child process is only isolated from the host by the permission model, which Node.js 18 & older do not have
+ProcessBackend.isSupported = () => process.allowedNodeEnvironmentFlags.has("--experimental-permission")
+class WorkerBackend {
+  run(options) {
+    return runSandbox(options, (onMessage, onExit) => {
+      const worker = new worker_threads_1.Worker(runnerFile, {
+        resourceLimits: { maxOldGenerationSizeMb: options.maxMemoryMb },
+        env: {},
+      })
+      let workerError
+      worker.on("message", onMessage)
+      worker.on("error", (error) => (workerError = error))
+      worker.on("exit", (exitCode) =>
+        onExit({ exitCode, outOfMemory: workerError?.code === "ERR_WORKER_OUT_OF_MEMORY", error: workerError })
+      )
+      return {
+        send: (message) => worker.postMessage(message),
+        kill: () => worker.terminate(),
+      }
+    })
+  }
+}
+exports.WorkerBackend = WorkerBackend
+exports.SandboxBackends = {
+  [SandboxBackendType.Process]: new ProcessBackend(),
+  [SandboxBackendType.Worker]: new WorkerBackend(),
+}
+// Supervises a runner started by startRunner(onMessage, onExit), which returns functions to send it a message & to
+// kill it. The outcome is only settled once the runner has exited so that the console output of the user's code is
+// flushed first.
+const runSandbox = (
+  {
+    numAllowedQueries,
+    javascriptString,
+    args,
+    secrets,
+    enableSandboxedLogging,
+    httpMode,
+    httpFixtureFile,
+    timeoutMs,
+    maxMemoryMb,
+    limits,
+    httpRedirects,
+  },
+  startRunner
+) => {
+  const functionsModule = new Functions_1.FunctionsModule()
+  const httpFixtures =
+    httpMode === HttpFixtures_1.HttpMode.Live ? undefined : new HttpFixtures_1.HttpFixtures(httpMode, httpFixtureFile)
+  const makeHttpRequest = functionsModule.makeHttpRequestFactory(
+    numAllowedQueries,
+    secrets,
+    httpFixtures,
+    limits,
+    httpRedirects
+  )
+  return new Promise((resolve, reject) => {
+    let outcome
+    const onMessage = async (message) => {
+      switch (message.type) {
+        case "httpRequest":
+          try {
+            const response = toSandboxResponse(await makeHttpRequest(message.options))
+            runner.send({ type: "httpResponse", id: message.id, response })
+          } catch (untypedError) {
+            const error = untypedError
+            runner.send({ type: "httpResponse", id: message.id, error: { name: error.name, message: error.message } })
+          }
+          break
+        case "console":
+          process[message.stream].write(Functions_1.FunctionsModule.redactSecrets(message.text, secrets) + "\n")
+          break
+        case "result":
+          outcome = { result: message.isBuffer ? Buffer.from(message.result) : message.result }
+          break
+        case "error":
+          outcome = new SandboxError_1.SandboxError(
+            message.error.name,
+            message.error.message,
+            message.error.details,
+            functionsModule.userHttpQueries
+          )
+          break
+      }
+    }
+    const onExit = ({ exitCode, outOfMemory, error }) => {
+      clearTimeout(timeout)
+      if (outOfMemory) {
+        outcome = new SandboxError_1.SandboxError(
+          "OutOfMemory",
+          `Heap limit of ${maxMemoryMb} MB for sandboxed source code has been exceeded`,
+          undefined,
+          functionsModule.userHttpQueries,
+          "maxMemoryMb"
+        )
+      }
+      if (outcome === undefined) {
+        reject(
+          new SandboxError_1.SandboxError(
+            error?.name ?? "Error",
+            error?.message ?? `Sandbox exited with code ${exitCode}`,
+            error?.stack,
+            functionsModule.userHttpQueries
+          )
+        )
+      } else if (outcome instanceof SandboxError_1.SandboxError) {
+        reject(outcome)
+      } else {
+        resolve({ result: outcome.result, userHttpQueries: functionsModule.userHttpQueries })
+      }
+    }
+    const runner = startRunner(onMessage, onExit)
+    const timeout = setTimeout(() => {
+      outcome = new SandboxError_1.SandboxError(
+        "Timeout",
+        `Runtime of ${timeoutMs} ms for sandboxed source code has been exceeded`,
+        undefined,
+        functionsModule.userHttpQueries,
+        "timeoutMs"
+      )
+      runner.kill()
+    }, timeoutMs)
+    runner.send({ type: "run", javascriptString, args, secrets, enableSandboxedLogging, numAllowedQueries })
+  })
+}
+// HTTP responses are copied to the runner, so only their plain fields are kept. Errors keep the fields of an axios
+// error which are used by source code.
+const toSandboxResponse = (result) => {
+  const response = result.response && HttpFixtures_1.HttpFixtures.toRecordedResponse(result.response)
+  if (result.error) {
+    return { name: result.name, message: result.message, code: result.code, response, error: true }
+  }
+  return { ...HttpFixtures_1.HttpFixtures.toRecordedResponse(result), error: false }
+}
@@ -0,0 +1,110 @@
+"use strict"
+var __importDefault =
+  (this && this.__importDefault) ||
+  function (mod) {
+    return mod && mod.__esModule ? mod : { default: mod }
+  }
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.hardenRealm = exports.toErrorMessage = exports.runInSandboxContext = exports.AllowedBuiltins = void 0
+const vm_1 = __importDefault(require("vm"))
+// Built-in modules which can be required by the user's code
+exports.AllowedBuiltins = ["buffer", "crypto", "querystring", "string_decoder", "url", "util"]
+// Runs the user's code in a new V8 context whose only globals are args, secrets, Functions, the allowed built-in
+// modules, console & the standard timer, encoding & URL globals. Console output is discarded unless a sandboxedConsole
+// is given. Code generation from strings (eval, new Function) and WebAssembly are disabled in the context. args &
+// secrets are copied into the realm of the context & the functions of the runner are wrapped in functions of that
+// realm, so that the prototypes of the runner's realm are not handed to the user's code. A context is not a security
+// boundary by itself, the backend which calls this function is responsible for isolating it from the host (see
+// SandboxBackends.js & hardenRealm).
+// Returns the message which is sent back to the host.
+const runInSandboxContext = async ({ javascriptString, args, secrets, Functions, sandboxedConsole }) => {
+  const sandboxedRequire = (moduleName) => {
+    const builtin = `${moduleName}`.replace(/^node:/, "")
+    if (!exports.AllowedBuiltins.includes(builtin)) {
+      throw Error(`Cannot find module '${moduleName}'`)
+    }
+    return require(builtin)
+  }
+  const context = vm_1.default.createContext(
+    { Buffer, URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa },
+    { codeGeneration: { strings: false, wasm: false } }
+  )
+  const parseInContext = vm_1.default.runInContext("JSON.parse", context)
+  const wrapInContext = vm_1.default.runInContext(
+    "(f) => function () { return f.apply(undefined, arguments) }",
+    context
+  )
+  const objectInContext = (functions) => {
+    const object = parseInContext("{}")
+    for (const [name, value] of Object.entries(functions)) {
+      object[name] = typeof value === "function" ? wrapInContext(value) : value
+    }
+    return object
+  }
+  // Every console method is defined so that the user's code does not fail on the ones which are not forwarded
+  const contextConsole = Object.fromEntries(Object.keys(console).map((method) => [method, () => {}]))
+  Object.assign(contextConsole, sandboxedConsole)
+  Object.assign(context, {
+    args: args === undefined ? undefined : parseInContext(JSON.stringify(args)),
+    secrets: secrets === undefined ? undefined : parseInContext(JSON.stringify(secrets)),
+    Functions: objectInContext(Functions),
+    require: wrapInContext(sandboxedRequire),
+    console: objectInContext(contextConsole),
+    ...objectInContext({
+      setTimeout,
+      clearTimeout,
+      setInterval,
+      clearInterval,
+      setImmediate,
+      clearImmediate,
+      queueMicrotask,
+    }),
+  })
+  let sandboxedFunction
+  // Try to compile the provided JavaScript code.
+  try {
+    sandboxedFunction = new vm_1.default.Script("(async function () {\n" + javascriptString + "\n})", {
+      filename: "source.js",
+    }).runInContext(context)
+  } catch (untypedError) {
+    return toErrorMessage(untypedError)
+  }
+  // Try to run the provided JavaScript code.
+  let result
+  try {
+    result = await sandboxedFunction()
+  } catch (untypedError) {
+    return toErrorMessage(untypedError)
+  }
+  // Results are copied out of the sandbox, a Buffer is copied as bytes & any other value as JSON so that it can be
+  // rejected by the output validation
+  if (Buffer.isBuffer(result)) {
+    return { type: "result", result: Uint8Array.from(result), isBuffer: true }
+  }
+  try {
+    return { type: "result", result: result === undefined ? undefined : JSON.parse(JSON.stringify(result)) }
+  } catch {
+    return {
+      type: "error",
+      error: { name: "Output Validation Error", message: `returned type ${typeof result} is not supported` },
+    }
+  }
+}
+exports.runInSandboxContext = runInSandboxContext
+// Message sent back to the host for an error thrown by the user's code
+const toErrorMessage = (error) => ({
+  type: "error",
+  error: { name: error?.name, message: error?.message ?? `${error}`, details: error?.stack },
+})
+exports.toErrorMessage = toErrorMessage
+// Objects of the realm running the context, such as Buffer, the modules returned by require or the values returned by
+// Functions, stay reachable from the user's code. Removing the constructor of every kind of function from that realm
+// keeps the user's code from compiling code outside of the context, ie: args.constructor.constructor("return process"),
+// where the backend does not disallow code generation from strings for the whole process (see WorkerBackend). Must only
+// be called in a realm which runs nothing but the user's code once its modules are loaded.
+const hardenRealm = () => {
+  for (const fn of [function () {}, async function () {}, function* () {}, async function* () {}]) {
+    Object.defineProperty(Object.getPrototypeOf(fn), "constructor", { value: undefined })
+  }
+}
+exports.hardenRealm = hardenRealm
@@ -0,0 +1,14 @@
+"use strict"
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.SandboxError = void 0
+class SandboxError {
+  // limit is the name of the DON limit which was exceeded, if any (see DonLimits.js)
+  constructor(name, message, details, userHttpQueries, limit) {
+    this.name = name
+    this.message = message
+    this.details = details
+    this.userHttpQueries = userHttpQueries
+    this.limit = limit
+  }
+}
+exports.SandboxError = SandboxError
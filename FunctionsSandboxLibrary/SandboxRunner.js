@@ -0,0 +1,97 @@
+"use strict"
+var __importDefault =
+  (this && this.__importDefault) ||
+  function (mod) {
+    return mod && mod.__esModule ? mod : { default: mod }
+  }
+Object.defineProperty(exports, "__esModule", { value: true })
+const util_1 = __importDefault(require("util"))
+const worker_threads_1 = require("worker_threads")
+const Functions_1 = require("./Functions")
+const SandboxContext_1 = require("./SandboxContext")
+// Entry point of the worker thread or child process started by a sandbox backend (see SandboxBackends.js). The host
+// sends the user's code in a "run" message. HTTP requests are made by the host, so the runner only needs access to
+// the channel back to its host.
+const channel = worker_threads_1.parentPort
+  ? {
+      send: (message, callback) => {
+        worker_threads_1.parentPort.postMessage(message)
+        callback?.()
+      },
+      on: (listener) => worker_threads_1.parentPort.on("message", listener),
+    }
+  : {
+      send: (message, callback) => process.send(message, callback),
+      on: (listener) => process.on("message", listener),
+    }
+// The runner only runs the user's code from here on
+;(0, SandboxContext_1.hardenRealm)()
+const pendingHttpRequests = new Map()
+let nextHttpRequestId = 0
+const makeHttpRequest = (options) =>
+  new Promise((resolve, reject) => {
+    const id = nextHttpRequestId++
+    pendingHttpRequests.set(id, { resolve, reject })
+    channel.send({ type: "httpRequest", id, options })
+  })
+// Console output of the user's code is sent to the host, which scrubs the secrets from it before writing it
+const forwardConsole =
+  (stream) =>
+  (...values) =>
+    channel.send({ type: "console", stream, text: util_1.default.format(...values) })
+const sandboxedConsole = {
+  log: forwardConsole("stdout"),
+  info: forwardConsole("stdout"),
+  debug: forwardConsole("stdout"),
+  warn: forwardConsole("stderr"),
+  error: forwardConsole("stderr"),
+}
+const run = async ({ javascriptString, args, secrets, enableSandboxedLogging, numAllowedQueries }) => {
+  const Functions = {
+    makeHttpRequest,
+    maxHttpQueries: numAllowedQueries,
+    ...Functions_1.FunctionsModule.encoders,
+  }
+  const message = await (0, SandboxContext_1.runInSandboxContext)({
+    javascriptString,
+    args,
+    secrets,
+    Functions,
+    sandboxedConsole: enableSandboxedLogging ? sandboxedConsole : undefined,
+  })
+  finish(message)
+}
+// Sends the outcome of the user's code to the host once & exits right away, so that timers or requests left running by
+// the user's code do not keep the runner alive
+let finished = false
+const finish = (message) => {
+  if (finished) {
+    return
+  }
+  finished = true
+  channel.send(message, () => process.exit(0))
+}
+// Errors thrown by timers or promises of the user's code are reported like errors thrown by the code itself, instead of
+// crashing the runner with an unredacted stack trace written to stderr
+const reportUncaughtError = (error) => finish((0, SandboxContext_1.toErrorMessage)(error))
+process.on("uncaughtException", reportUncaughtError)
+process.on("unhandledRejection", reportUncaughtError)
+channel.on((message) => {
+  switch (message.type) {
+    case "run":
+      run(message)
+      break
+    case "httpResponse": {
+      const { resolve, reject } = pendingHttpRequests.get(message.id)
+      pendingHttpRequests.delete(message.id)
+      if (message.error) {
+        const error = Error(message.error.message)
+        error.name = message.error.name
+        reject(error)
+      } else {
+        resolve(message.response)
+      }
+      break
+    }
+  }
+})
@@ -1,10 +1,12 @@
 "use strict"
 Object.defineProperty(exports, "__esModule", { value: true })
 exports.Validator = void 0
+const DonLimits_1 = require("./DonLimits")
 class Validator {
-  constructor(defaultMaxResponseBytes, defaultMaxHttpQueries) {
-    this.defaultMaxResponseBytes = defaultMaxResponseBytes
-    this.defaultMaxHttpQueries = defaultMaxHttpQueries
+  // defaultLimits are the DON limits (see DonLimits.js) enforced unless the input selects another profile with its
+  // donLimits param. The numAllowedQueries, timeoutMs, maxMemoryMb & maxResponseBytes params override these limits.
+  constructor(defaultLimits) {
+    this.defaultLimits = defaultLimits
     this.isValidInput = (input) => {
       const validInput = input
       if (typeof validInput.source !== "string") {
@@ -13,12 +15,33 @@ class Validator {
       if (validInput.requestId && typeof validInput.requestId !== "string") {
         throw Error("requestId param not a string or number")
       }
+      let limits = this.defaultLimits
+      if (validInput.donLimits) {
+        if (typeof validInput.donLimits !== "string") {
+          throw Error("donLimits param not a string")
+        }
+        limits = (0, DonLimits_1.getDonLimits)(validInput.donLimits)
+      }
       if (validInput.numAllowedQueries) {
         if (typeof validInput.numAllowedQueries !== "number" || !Number.isInteger(validInput.numAllowedQueries)) {
           throw Error("numAllowedQueries not integer")
         }
       } else {
-        validInput.numAllowedQueries = this.defaultMaxHttpQueries
+        validInput.numAllowedQueries = limits.maxHttpQueries
+      }
+      if (validInput.timeoutMs) {
+        if (typeof validInput.timeoutMs !== "number" || !Number.isInteger(validInput.timeoutMs)) {
+          throw Error("timeoutMs not integer")
+        }
+      } else {
+        validInput.timeoutMs = limits.timeoutMs
+      }
+      if (validInput.maxMemoryMb) {
+        if (typeof validInput.maxMemoryMb !== "number" || !Number.isInteger(validInput.maxMemoryMb)) {
+          throw Error("maxMemoryMb not integer")
+        }
+      } else {
+        validInput.maxMemoryMb = limits.maxMemoryMb
       }
       if (validInput.args) {
         if (!Array.isArray(validInput.args)) {
@@ -39,13 +62,21 @@ class Validator {
       ) {
         throw Error("secrets param not a string map")
       }
-      this.maxResponseBytes = this.defaultMaxResponseBytes
+      this.maxResponseBytes = limits.maxResponseBytes
       if (validInput.maxResponseBytes) {
         if (typeof validInput.maxResponseBytes !== "number" || !Number.isInteger(validInput.maxResponseBytes)) {
           throw Error("maxResponseBytes not integer")
         }
         this.maxResponseBytes = validInput.maxResponseBytes
       }
+      // The limits enforced for this input, with the overrides applied
+      validInput.limits = {
+        ...limits,
+        maxHttpQueries: validInput.numAllowedQueries,
+        timeoutMs: validInput.timeoutMs,
+        maxMemoryMb: validInput.maxMemoryMb,
+        maxResponseBytes: this.maxResponseBytes,
+      }
       return true
     }
     this.getValidOutput = (sandboxOutput) => {
@@ -53,7 +84,7 @@ class Validator {
         if (sandboxOutput.result.length <= this.maxResponseBytes) {
           return sandboxOutput.result
         }
-        throw Error(`returned Buffer >${this.maxResponseBytes} bytes`)
+        throw new DonLimits_1.DonLimitError("maxResponseBytes", `returned Buffer >${this.maxResponseBytes} bytes`)
       }
       throw Error("returned value not a Buffer")
     }
@@ -63,7 +94,7 @@ class Validator {
       }
       return "0x" + result.toString("hex")
     }
-    this.maxResponseBytes = defaultMaxResponseBytes
+    this.maxResponseBytes = defaultLimits.maxResponseBytes
   }
 }
 exports.Validator = Validator
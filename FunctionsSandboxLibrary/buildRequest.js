@@ -3,9 +3,18 @@ Object.defineProperty(exports, "__esModule", { value: true })
 exports.buildRequest = void 0
 const getRequestConfig_1 = require("./getRequestConfig")
 const encryptSecrets_1 = require("./encryptSecrets")
+const fetchSource_1 = require("./fetchSource")
+const checkSecrets_1 = require("./checkSecrets")
 const buildRequest = async (unvalidatedConfig) => {
   const config = (0, getRequestConfig_1.getRequestConfig)(unvalidatedConfig)
-  const request = { source: config.source }
+  // Remote source code is only referenced by its URL in the request, its hash is checked before it is submitted & kept
+  // with the request so that the contract can store it next to the URL
+  const source = await (0, fetchSource_1.fetchSource)(config)
+  ;(0, checkSecrets_1.checkSecrets)(config, source)
+  const request = { codeLocation: config.codeLocation, source: config.source }
+  if (config.codeLocation === getRequestConfig_1.Location_.Remote) {
+    request.sourceHash = config.sourceHash
+  }
   if (config.secretsURLs && config.secretsURLs.length > 0) {
     request.secrets = "0x" + (await (0, encryptSecrets_1.encrypt)(config.DONPublicKey, config.secretsURLs.join(" ")))
   }
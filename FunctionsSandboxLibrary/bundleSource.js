@@ -0,0 +1,178 @@
+"use strict"
+var __importDefault =
+  (this && this.__importDefault) ||
+  function (mod) {
+    return mod && mod.__esModule ? mod : { default: mod }
+  }
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.mapStackTrace = exports.getSourceSizeLog = exports.getSourceSize = exports.bundleSource = void 0
+const path_1 = __importDefault(require("path"))
+const module_1 = require("module")
+const esbuild_1 = require("esbuild")
+const SandboxContext_1 = require("./SandboxContext")
+const DonLimits_1 = require("./DonLimits")
+const getRequestConfig_1 = require("./getRequestConfig")
+// Gas costs of storing the source code on-chain: the calldata of the transaction which sends it & the storage slots of
+// the CompliantVault contract which keeps it
+const CalldataGasPerByte = 16
+const StorageGasPerSlot = 20000
+// Bundles the ES module entryPoint & the modules it imports into the minified source code of a single inline request.
+// The entry point must export the body of the request as its default function, which the bundle calls & returns.
+// Returns the bundled source, its source map & the minified size of each module which is left after tree-shaking.
+const bundleSource = (entryPoint) => {
+  let result
+  try {
+    result = (0, esbuild_1.buildSync)({
+      entryPoints: [entryPoint],
+      bundle: true,
+      write: false,
+      format: "esm",
+      platform: "node",
+      treeShaking: true,
+      sourcemap: "external",
+      sourcesContent: true,
+      metafile: true,
+      // The paths in the source map are relative to the output file
+      outfile: path_1.default.join(process.cwd(), "source.js"),
+      legalComments: "none",
+      logLevel: "silent",
+      // Built-in modules are not bundled, the sandbox provides them through its require function
+      external: [...module_1.builtinModules, ...module_1.builtinModules.map((builtin) => `node:${builtin}`)],
+    })
+  } catch (untypedError) {
+    const error = untypedError
+    const messages = (error.errors ?? []).map(
+      ({ text, location }) => `${location ? `${location.file}:${location.line}: ` : ""}${text}`
+    )
+    throw Error(`Could not bundle ${entryPoint}: ${messages.length > 0 ? messages.join("\n") : error.message}`)
+  }
+  const output = result.metafile.outputs[Object.keys(result.metafile.outputs).find((file) => file.endsWith(".js"))]
+  const builtins = output.imports.filter(({ external }) => external).map(({ path }) => path.replace(/^node:/, ""))
+  const disallowed = builtins.filter((builtin) => !SandboxContext_1.AllowedBuiltins.includes(builtin))
+  if (disallowed.length > 0) {
+    throw Error(
+      `Could not bundle ${entryPoint}: ${disallowed.join(", ")} cannot be imported, the sandbox only allows ` +
+        SandboxContext_1.AllowedBuiltins.join(", ")
+    )
+  }
+  const code = result.outputFiles
+    .find((file) => file.path.endsWith(".js"))
+    .text.split("\n")
+    .map(requireBuiltin)
+    .join("\n")
+  const bundleMap = result.outputFiles.find((file) => file.path.endsWith(".map")).text
+  // The bundle is only minified once its imports are rewritten, esbuild maps the minified code back to the modules
+  // through the source map of the bundle
+  const minified = (0, esbuild_1.transformSync)(
+    `${code.replace(/\/\/# sourceMappingURL=.*\s*$/, "")}\n` +
+      `//# sourceMappingURL=data:application/json;base64,${Buffer.from(bundleMap).toString("base64")}\n`,
+    {
+      format: "esm",
+      minify: true,
+      sourcemap: "external",
+      sourcesContent: true,
+      sourcefile: "source.js",
+      legalComments: "none",
+      logLevel: "silent",
+    }
+  )
+  const sourceMap = JSON.parse(minified.map)
+  // The default export is the last statement of an ES module bundle, replacing it keeps the source map valid
+  const defaultExport = minified.code.match(/export\s*{\s*([\w$]+) as default\s*};\s*$/)
+  if (!defaultExport) {
+    throw Error(`${entryPoint} must export the body of the request as its default function & nothing else`)
+  }
+  const source = `${minified.code.slice(0, defaultExport.index)}\nreturn ${defaultExport[1]}()\n`
+  const moduleBytes = getModuleBytes(source, sourceMap)
+  const sourceModules = Object.keys(output.inputs).map((modulePath) => ({
+    path: modulePath,
+    bytes: moduleBytes[modulePath] ?? 0,
+  }))
+  return { source, sourceMap, sourceModules }
+}
+exports.bundleSource = bundleSource
+// Bytes of the source code by the module its source map maps them to, as the modules of a minified bundle share lines
+const getModuleBytes = (source, sourceMap) => {
+  const map = new module_1.SourceMap(sourceMap)
+  const moduleBytes = {}
+  source.split("\n").forEach((line, lineNumber) => {
+    for (let column = 0; column < line.length; column++) {
+      // Each byte belongs to the module of the closest mapping before it on its line
+      const { originalSource, generatedLine } = map.findEntry(lineNumber, column)
+      if (originalSource && generatedLine === lineNumber) {
+        moduleBytes[originalSource] = (moduleBytes[originalSource] ?? 0) + Buffer.byteLength(line[column])
+      }
+    }
+  })
+  return moduleBytes
+}
+// Size of the source code of a request in bytes & the gas it costs to send it in a transaction & store it on-chain
+const getSourceSize = (source) => {
+  const bytes = Buffer.byteLength(source)
+  return {
+    bytes,
+    calldataGas: bytes * CalldataGasPerByte,
+    storageGas: Math.ceil(bytes / 32) * StorageGasPerSlot,
+  }
+}
+exports.getSourceSize = getSourceSize
+// Reports the size of the source code sent on-chain by a request, broken down by module when it is a bundled inline
+// source, against the maxRequestBytes DON limit. Returns the log along with whether the source code exceeds the limit.
+const getSourceSizeLog = (config, donLimitProfile = DonLimits_1.DefaultDonLimitProfile) => {
+  const { maxRequestBytes } = (0, DonLimits_1.getDonLimits)(donLimitProfile)
+  const { bytes, calldataGas, storageGas } = (0, exports.getSourceSize)(config.source)
+  const modules = config.codeLocation === getRequestConfig_1.Location_.Inline ? config.sourceModules ?? [] : []
+  const lines = modules.map((module) => `${module.path}: ${module.bytes} bytes`)
+  lines.push(
+    `Total: ${bytes} of ${maxRequestBytes} bytes (${donLimitProfile} limit profile)`,
+    `Gas: ${calldataGas} to send as calldata, ${storageGas} to store in the CompliantVault contract`
+  )
+  const exceeded = bytes > maxRequestBytes
+  if (exceeded) {
+    lines.push(`The source code exceeds the maxRequestBytes limit by ${bytes - maxRequestBytes} bytes`)
+  }
+  return { log: `__Source code size__\n${lines.join("\n")}\n`, exceeded }
+}
+exports.getSourceSizeLog = getSourceSizeLog
+// Rewrites the source.js:<line>:<column> frames of a sandbox stack trace to the positions in the original modules of a
+// bundled source, ie: "at checkDeposit (source.js:402:9)" becomes "at checkDeposit (chainalysis.js:72:9)"
+const mapStackTrace = (stack, sourceMap) => {
+  const map = new module_1.SourceMap(sourceMap)
+  return `${stack}`.replace(/source\.js:(\d+):(\d+)/g, (frame, line, column) => {
+    // The sandbox wraps the source code in a function declared on the line above it
+    const entry = map.findEntry(Number(line) - 2, Number(column) - 1)
+    if (!entry?.originalSource) {
+      return frame
+    }
+    return `${entry.originalSource}:${entry.originalLine + 1}:${entry.originalColumn + 1}`
+  })
+}
+exports.mapStackTrace = mapStackTrace
+// ES module bundles import external modules at the top, each import of a built-in module is replaced on its own line
+// so that the source map stays valid, ie: import { createHash as createHash2 } from "crypto" becomes
+// const { createHash: createHash2 } = require("crypto")
+const requireBuiltin = (line) => {
+  const match = line.match(/^import (?:(.+) from )?(".+");$/)
+  if (!match) {
+    return line
+  }
+  const [, bindings, builtin] = match
+  if (!bindings) {
+    return `require(${builtin})`
+  }
+  const namespace = bindings.match(/^\* as ([\w$]+)$/)
+  if (namespace) {
+    return `const ${namespace[1]} = require(${builtin})`
+  }
+  const namedStart = bindings.indexOf("{")
+  const defaultBinding = namedStart === -1 ? bindings : bindings.slice(0, namedStart).replace(/,\s*$/, "")
+  const namedBindings = namedStart === -1 ? "" : bindings.slice(namedStart)
+  const declarations = []
+  if (defaultBinding) {
+    declarations.push(`const ${defaultBinding} = require(${builtin})`)
+  }
+  if (namedBindings) {
+    declarations.push(`const ${namedBindings.replace(/ as /g, ": ")} = require(${builtin})`)
+  }
+  return declarations.join("; ")
+}
@@ -0,0 +1,98 @@
+"use strict"
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.applyArgOverrides = exports.checkArgs = exports.ArgType = void 0
+// Types of the args declared in the argsSchema of a config
+exports.ArgType = {
+  // One of the values of the values object of the arg, which maps names to values
+  Enum: "enum",
+  // A 0x prefixed 20 byte hex address, or a comma separated list of addresses when list is true
+  Address: "address",
+  // A decimal integer which fits in a uint256, ie: an amount in wei
+  Uint: "uint",
+  // Any string, which must match the pattern of the arg if it has one
+  String: "string",
+}
+const MaxUint256 = 2n ** 256n - 1n
+// Checks the args of a validated config against its argsSchema, whose entries declare the name & type of the arg at
+// their index: { name, type, values, list, optional, pattern }. Args which are not optional must be set to a non-empty
+// value of their type & args without an entry are rejected. Throws an error listing every mismatch, configs without an
+// argsSchema are not checked.
+const checkArgs = (config) => {
+  const schema = config.argsSchema
+  if (!schema) {
+    return
+  }
+  const args = config.args ?? []
+  const problems = []
+  schema.forEach((arg, i) => {
+    const label = `args[${i}] (${arg.name})`
+    const value = args[i]
+    if (value === undefined || value === "") {
+      if (!arg.optional) {
+        problems.push(`${label} is required but ${value === undefined ? "missing" : "empty"}`)
+      }
+      return
+    }
+    const expected = getTypeProblem(arg, value)
+    if (expected) {
+      problems.push(`${label} must be ${expected}, got ${JSON.stringify(value)}`)
+    }
+  })
+  for (let i = schema.length; i < args.length; i++) {
+    problems.push(`args[${i}] is not declared`)
+  }
+  if (problems.length > 0) {
+    throw Error(`Args do not match the argsSchema in config:\n${problems.map((p) => `- ${p}`).join("\n")}`)
+  }
+}
+exports.checkArgs = checkArgs
+// Returns a copy of a config whose args are overridden by name=value assignments separated by whitespace, ie: the
+// --arg "requestType=Withdrawal amount=1000" task param. Enum args can be assigned a name of their values object.
+const applyArgOverrides = (config, assignments) => {
+  if (!assignments) {
+    return config
+  }
+  const schema = config.argsSchema
+  if (!Array.isArray(schema)) {
+    throw Error("Args can only be overridden by name when the config has an argsSchema")
+  }
+  const args = [...(config.args ?? [])]
+  for (const assignment of `${assignments}`.trim().split(/\s+/)) {
+    const separator = assignment.indexOf("=")
+    const name = assignment.slice(0, separator)
+    const index = schema.findIndex((arg) => arg.name === name)
+    if (separator === -1 || index === -1) {
+      const names = schema.map((arg) => arg.name).join(", ")
+      throw Error(`Invalid arg override ${assignment}, expected name=value with a name of ${names}`)
+    }
+    const value = assignment.slice(separator + 1)
+    const { type, values } = schema[index]
+    while (args.length < index) {
+      args.push("")
+    }
+    args[index] =
+      type === exports.ArgType.Enum && Object.prototype.hasOwnProperty.call(values, value) ? values[value] : value
+  }
+  return { ...config, args }
+}
+exports.applyArgOverrides = applyArgOverrides
+// Describes the expected value of an arg whose value does not match its type
+const getTypeProblem = (arg, value) => {
+  switch (arg.type) {
+    case exports.ArgType.Enum: {
+      const values = Object.values(arg.values)
+      return values.includes(value) ? undefined : `one of ${values.map((v) => JSON.stringify(v)).join(", ")}`
+    }
+    case exports.ArgType.Address: {
+      const addresses = arg.list ? value.split(",").map((address) => address.trim()) : [value]
+      const expected = arg.list ? "a comma separated list of 0x prefixed addresses" : "a 0x prefixed address"
+      return addresses.every((address) => /^0x[0-9a-fA-F]{40}$/.test(address)) ? undefined : expected
+    }
+    case exports.ArgType.Uint:
+      return /^\d+$/.test(value) && BigInt(value) <= MaxUint256 ? undefined : "a decimal uint256"
+    default:
+      return arg.pattern === undefined || new RegExp(arg.pattern).test(value)
+        ? undefined
+        : `a string matching ${new RegExp(arg.pattern)}`
+  }
+}
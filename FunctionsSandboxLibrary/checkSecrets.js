@@ -0,0 +1,84 @@
+"use strict"
+var __importDefault =
+  (this && this.__importDefault) ||
+  function (mod) {
+    return mod && mod.__esModule ? mod : { default: mod }
+  }
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.checkSecrets = exports.getSecretsUsage = void 0
+const acorn_1 = require("acorn")
+const acorn_walk_1 = __importDefault(require("acorn-walk"))
+// Names of the secrets read by the source code, ie: secrets.apiKey, secrets["apiKey"] or const { apiKey } = secrets.
+// Secrets read with a computed name cannot be known before the source code runs & are not returned.
+const getSecretsUsage = (source) => {
+  let ast
+  try {
+    ast = (0, acorn_1.parse)(source, {
+      ecmaVersion: "latest",
+      // The source code is the body of an async function
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+    })
+  } catch {
+    // Syntax errors are reported when the source code is run
+    return []
+  }
+  const names = new Set()
+  acorn_walk_1.default.simple(ast, {
+    MemberExpression(node) {
+      if (node.object.type !== "Identifier" || node.object.name !== "secrets") {
+        return
+      }
+      if (!node.computed) {
+        names.add(node.property.name)
+      } else if (node.property.type === "Literal" && typeof node.property.value === "string") {
+        names.add(node.property.value)
+      }
+    },
+    VariableDeclarator(node) {
+      if (node.init?.type === "Identifier" && node.init.name === "secrets" && node.id.type === "ObjectPattern") {
+        node.id.properties
+          .filter((property) => property.type === "Property" && !property.computed)
+          .forEach((property) => names.add(property.key.name ?? property.key.value))
+      }
+    },
+  })
+  return [...names].sort()
+}
+exports.getSecretsUsage = getSecretsUsage
+// Checks the secrets of a validated config against its secretsSchema: every declared secret which is not optional must
+// be set to a non-empty value matching its pattern in secrets & in every perNodeSecrets entry, and the source code must
+// only read declared secrets. Throws an error listing every mismatch, configs without a secretsSchema are not checked.
+const checkSecrets = (config, source) => {
+  const schema = config.secretsSchema
+  if (!schema) {
+    return
+  }
+  const secretsSets = (config.perNodeSecrets ?? []).map((secrets, i) => [`perNodeSecrets[${i}]`, secrets])
+  // The secrets are only used by nodes without per-node secrets, & are not known when they are only in secretsURLs
+  if (Object.keys(config.secrets ?? {}).length > 0 || (secretsSets.length === 0 && !(config.secretsURLs?.length > 0))) {
+    secretsSets.unshift(["secrets", config.secrets ?? {}])
+  }
+  const problems = []
+  for (const [setName, secrets] of secretsSets) {
+    for (const [name, { optional, pattern }] of Object.entries(schema)) {
+      const value = secrets[name]
+      if (!value) {
+        if (!optional) {
+          problems.push(`${setName}.${name} is required but ${value === undefined ? "missing" : "empty"}`)
+        }
+      } else if (pattern !== undefined && !new RegExp(pattern).test(value)) {
+        problems.push(`${setName}.${name} does not match the pattern ${new RegExp(pattern)}`)
+      }
+    }
+  }
+  for (const name of (0, exports.getSecretsUsage)(source)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, name)) {
+      problems.push(`the source code reads secrets.${name}, which is not declared`)
+    }
+  }
+  if (problems.length > 0) {
+    throw Error(`Secrets do not match the secretsSchema in config:\n${problems.map((p) => `- ${p}`).join("\n")}`)
+  }
+}
+exports.checkSecrets = checkSecrets
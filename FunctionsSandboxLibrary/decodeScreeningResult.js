@@ -0,0 +1,97 @@
+"use strict"
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.decodeScreeningError =
+  exports.ScreeningErrors =
+  exports.decodeBatchScreeningResult =
+  exports.decodeScreeningResult =
+  exports.ScreeningCategories =
+  exports.ScreeningReasons =
+  exports.RiskTiers =
+    void 0
+// Layout of the uint256 screening result returned by chainalysis.js (bit 0 is the least significant bit):
+//   bits  0-7   decision, 1 if the request is approved & 0 if it is rejected
+//   bits  8-15  risk tier, an index into RiskTiers
+//   bits 16-31  reason code, an index into ScreeningReasons
+//   bits 32-63  category bitmask, bit N is set when the address has exposure to ScreeningCategories[N]
+// These tables & ScreeningErrors mirror the ones chainalysis.js encodes with, test/unit/ScreeningResult.spec.js checks
+// that they match.
+exports.RiskTiers = ["Low", "Medium", "High", "Severe"]
+exports.ScreeningReasons = [
+  "Approved",
+  "RiskTierExceeded",
+  "CategoryNotAllowed",
+  "Sanctioned",
+  "AlertsPresent",
+  "DirectExposure",
+  "Pending",
+]
+exports.ScreeningCategories = [
+  "sanctions",
+  "terrorist financing",
+  "child abuse material",
+  "darknet market",
+  "stolen funds",
+  "scam",
+  "ransomware",
+  "mixing",
+  "fraud shop",
+  "illicit actor-org",
+  "malware",
+  "high risk jurisdiction",
+  "high risk exchange",
+  "gambling",
+  "special measures",
+]
+// Any category which is not listed in ScreeningCategories sets the last bit of the category bitmask
+const OTHER_CATEGORY_BIT = 31
+const decodeScreeningResult = (result) => {
+  const value = BigInt(result)
+  const tier = Number((value >> BigInt(8)) & BigInt(0xff))
+  const reason = Number((value >> BigInt(16)) & BigInt(0xffff))
+  const categoryMask = Number((value >> BigInt(32)) & BigInt(0xffffffff))
+  const categories = exports.ScreeningCategories.filter((_, i) => (categoryMask >>> i) & 1)
+  if ((categoryMask >>> OTHER_CATEGORY_BIT) & 1) {
+    categories.push("other")
+  }
+  return {
+    approved: (value & BigInt(1)) === BigInt(1),
+    riskTier: exports.RiskTiers[tier] ?? `Unknown (${tier})`,
+    reason: exports.ScreeningReasons[reason] ?? `Unknown (${reason})`,
+    categories,
+  }
+}
+exports.decodeScreeningResult = decodeScreeningResult
+// Layout of the uint256 returned by chainalysis.js for batch requests, where N is the index of the address in the batch:
+//   bit N        set if the address is compliant
+//   bit 128 + N  set if the address was screened, unscreened addresses did not fit in the HTTP query budget
+const decodeBatchScreeningResult = (result, addresses) => {
+  const value = BigInt(result)
+  return addresses.map((address, i) => ({
+    address,
+    screened: ((value >> BigInt(128 + i)) & BigInt(1)) === BigInt(1),
+    compliant: ((value >> BigInt(i)) & BigInt(1)) === BigInt(1),
+  }))
+}
+exports.decodeBatchScreeningResult = decodeBatchScreeningResult
+// Errors thrown by chainalysis.js are formatted as "E<code>:<message>", where code is an index into ScreeningErrors:
+//   1 AuthFailure    the API key is missing or was rejected (401, 403)
+//   2 RateLimited    the API rate limit was reached (429)
+//   3 UpstreamError  the API could not be reached, responded with a 5xx or an unexpected status
+//   4 InvalidInput   the args, the risk policy or the request were invalid (other 4xx)
+//   5 Timeout        an HTTP request timed out
+exports.ScreeningErrors = ["Unclassified", "AuthFailure", "RateLimited", "UpstreamError", "InvalidInput", "Timeout"]
+// Accepts the error as a string or as hex encoded bytes returned on-chain, returns undefined for errors without a code
+const decodeScreeningError = (error) => {
+  const message = /^0x[0-9a-fA-F]*$/.test(error) ? Buffer.from(error.slice(2), "hex").toString() : `${error}`
+  const match = /^E([0-9]+):(.*)$/s.exec(message)
+  if (!match) {
+    return undefined
+  }
+  const code = Number(match[1])
+  return {
+    code,
+    name: exports.ScreeningErrors[code] ?? `Unknown (${code})`,
+    message: match[2],
+  }
+}
+exports.decodeScreeningError = decodeScreeningError
@@ -0,0 +1,40 @@
+"use strict"
+var __importDefault =
+  (this && this.__importDefault) ||
+  function (mod) {
+    return mod && mod.__esModule ? mod : { default: mod }
+  }
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.fetchSource = exports.getSourceHash = void 0
+const crypto_1 = __importDefault(require("crypto"))
+const axios_1 = __importDefault(require("axios"))
+const getRequestConfig_1 = require("./getRequestConfig")
+const Functions_1 = require("./Functions")
+// SHA-256 hash of source code, which the content of a Remote source URL must match in the sourceHash config field
+const getSourceHash = (source) => "0x" + crypto_1.default.createHash("sha256").update(source).digest("hex")
+exports.getSourceHash = getSourceHash
+// Returns the source code of a validated config. Remote source code is fetched from the URL in the source field &
+// rejected unless its hash is the sourceHash, so that the code which is simulated is the code the DON fetches.
+// httpRedirects applies to the URL, so that tests can serve the source code locally.
+const fetchSource = async (config) => {
+  if (config.codeLocation !== getRequestConfig_1.Location_.Remote) {
+    return config.source
+  }
+  let response
+  try {
+    response = await axios_1.default.get(Functions_1.FunctionsModule.redirectUrl(config.source, config.httpRedirects), {
+      responseType: "arraybuffer",
+      timeout: 30000,
+    })
+  } catch (untypedError) {
+    const error = untypedError
+    throw Error(`Could not fetch the source code from ${config.source}: ${error.message}`)
+  }
+  const source = Buffer.from(response.data)
+  const sourceHash = (0, exports.getSourceHash)(source)
+  if (sourceHash !== config.sourceHash.toLowerCase()) {
+    throw Error(`Source code at ${config.source} has the hash ${sourceHash}, expected ${config.sourceHash}`)
+  }
+  return source.toString()
+}
+exports.fetchSource = fetchSource
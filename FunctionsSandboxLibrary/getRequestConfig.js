@@ -7,6 +7,9 @@ var __importDefault =
 Object.defineProperty(exports, "__esModule", { value: true })
 exports.getRequestConfig = exports.Location_ = void 0
 const is_http_url_1 = __importDefault(require("is-http-url"))
+const abi_1 = require("@ethersproject/abi")
+const DonLimits_1 = require("./DonLimits")
+const checkArgs_1 = require("./checkArgs")
 var Location_
 ;(function (Location_) {
   Location_[(Location_["Inline"] = 0)] = "Inline"
@@ -18,7 +21,7 @@ var CodeLanguage
 })(CodeLanguage || (CodeLanguage = {}))
 const getRequestConfig = (unvalidatedConfig) => {
   const config = unvalidatedConfig
-  if (config.codeLocation !== Location_.Inline) {
+  if (config.codeLocation !== Location_.Inline && config.codeLocation !== Location_.Remote) {
     throw Error(`codeLocation is not correctly specified in config`)
   }
   if (config.codeLanguage !== CodeLanguage.JavaScript) {
@@ -27,6 +30,37 @@ const getRequestConfig = (unvalidatedConfig) => {
   if (typeof config.source !== "string") {
     throw Error(`source is not correctly specified in config`)
   }
+  if (config.codeLocation === Location_.Remote) {
+    // The source field is the URL of the source code, whose content is checked against its SHA-256 hash
+    if (!(0, is_http_url_1.default)(config.source)) {
+      throw Error(`source must be an HTTP or HTTPs URL when codeLocation is Remote in config`)
+    }
+    if (typeof config.sourceHash !== "string" || !/^0x[0-9a-fA-F]{64}$/.test(config.sourceHash)) {
+      throw Error(`sourceHash is not correctly specified in config`)
+    }
+    // The DON fetches the URL without checking sourceHash, so the URL itself must always serve the same content
+    if (!isImmutableUrl(config.source)) {
+      throw Error(`source must be the raw URL of a Gist revision when codeLocation is Remote in config`)
+    }
+  }
+  // Bundled source code (see bundleSource.js) carries its source map & the size of each module it was bundled from
+  if (config.sourceMap) {
+    if (
+      typeof config.sourceMap !== "object" ||
+      !Array.isArray(config.sourceMap.sources) ||
+      typeof config.sourceMap.mappings !== "string"
+    ) {
+      throw Error(`sourceMap is not correctly specified in config`)
+    }
+  }
+  if (config.sourceModules) {
+    if (
+      !Array.isArray(config.sourceModules) ||
+      config.sourceModules.some((module) => typeof module?.path !== "string" || !Number.isInteger(module.bytes))
+    ) {
+      throw Error(`sourceModules is not correctly specified in config`)
+    }
+  }
   if (config.numAllowedQueries) {
     if (typeof config.numAllowedQueries !== "number" || !Number.isInteger(config.numAllowedQueries)) {
       throw Error(`numAllowedQueries is not correctly specified in config`)
@@ -42,6 +76,35 @@ const getRequestConfig = (unvalidatedConfig) => {
       }
     }
   }
+  if (config.perNodeSecrets) {
+    if (!Array.isArray(config.perNodeSecrets)) {
+      throw Error("perNodeSecrets array is not correctly specified in config")
+    }
+    for (const nodeSecrets of config.perNodeSecrets) {
+      if (
+        typeof nodeSecrets !== "object" ||
+        nodeSecrets === null ||
+        Object.values(nodeSecrets).some((secret) => typeof secret !== "string")
+      ) {
+        throw Error("perNodeSecrets is not correctly specified in config. It can only contain secrets objects.")
+      }
+    }
+  }
+  if (config.secretsSchema) {
+    if (typeof config.secretsSchema !== "object" || Array.isArray(config.secretsSchema)) {
+      throw Error("secretsSchema object is not correctly specified in config")
+    }
+    for (const [secret, schema] of Object.entries(config.secretsSchema)) {
+      if (
+        typeof schema !== "object" ||
+        schema === null ||
+        (schema.optional !== undefined && typeof schema.optional !== "boolean") ||
+        (schema.pattern !== undefined && typeof schema.pattern !== "string" && !(schema.pattern instanceof RegExp))
+      ) {
+        throw Error(`secretsSchema entry for ${secret} is not correctly specified in config`)
+      }
+    }
+  }
   if (config.secretsURLs && config.secretsURLs.length > 0) {
     if (!Array.isArray(config.secretsURLs)) {
       throw Error("secretsURLs array is not correctly specified in config")
@@ -66,12 +129,47 @@ const getRequestConfig = (unvalidatedConfig) => {
       }
     }
   }
+  if (config.argsSchema) {
+    if (!Array.isArray(config.argsSchema)) {
+      throw Error("argsSchema array is not correctly specified in config")
+    }
+    config.argsSchema.forEach((arg, i) => {
+      if (
+        typeof arg !== "object" ||
+        arg === null ||
+        typeof arg.name !== "string" ||
+        !Object.values(checkArgs_1.ArgType).includes(arg.type) ||
+        (arg.type === checkArgs_1.ArgType.Enum && (typeof arg.values !== "object" || arg.values === null)) ||
+        (arg.pattern !== undefined && typeof arg.pattern !== "string" && !(arg.pattern instanceof RegExp))
+      ) {
+        throw Error(`argsSchema entry ${i} is not correctly specified in config`)
+      }
+    })
+    ;(0, checkArgs_1.checkArgs)(config)
+  }
   if (config.maxResponseBytes) {
     if (typeof config.maxResponseBytes !== "number" || !Number.isInteger(config.maxResponseBytes)) {
       throw Error(`maxResponseBytes is not correctly specified in config`)
     }
   }
-  if (config.expectedReturnType) {
+  if (config.timeoutMs) {
+    if (typeof config.timeoutMs !== "number" || !Number.isInteger(config.timeoutMs)) {
+      throw Error(`timeoutMs is not correctly specified in config`)
+    }
+  }
+  if (config.maxMemoryMb) {
+    if (typeof config.maxMemoryMb !== "number" || !Number.isInteger(config.maxMemoryMb)) {
+      throw Error(`maxMemoryMb is not correctly specified in config`)
+    }
+  }
+  if (Array.isArray(config.expectedReturnType)) {
+    // A list of Solidity types, for results encoded with Functions.encodeAbi
+    try {
+      abi_1.defaultAbiCoder.getDefaultValue(config.expectedReturnType)
+    } catch {
+      throw Error(`expectedReturnType is not correctly specified in config`)
+    }
+  } else if (config.expectedReturnType) {
     if (typeof config.expectedReturnType !== "string") {
       throw Error(`expectedReturnType is not correctly specified in config`)
     }
@@ -79,12 +177,64 @@ const getRequestConfig = (unvalidatedConfig) => {
       case "uint256":
       case "int256":
       case "string":
+      case "screeningResult":
+      case "batchScreeningResult":
       case "Buffer":
         break
       default:
         throw Error(`expectedReturnType is not correctly specified in config`)
     }
   }
+  if (config.httpMode) {
+    switch (config.httpMode) {
+      case "live":
+      case "record":
+      case "replay":
+        break
+      default:
+        throw Error(`httpMode is not correctly specified in config`)
+    }
+  }
+  if (config.httpFixturesPath && typeof config.httpFixturesPath !== "string") {
+    throw Error(`httpFixturesPath is not correctly specified in config`)
+  }
+  if (config.httpRedirects) {
+    if (
+      typeof config.httpRedirects !== "object" ||
+      Array.isArray(config.httpRedirects) ||
+      Object.entries(config.httpRedirects).some(
+        ([from, to]) => !(0, is_http_url_1.default)(from) || typeof to !== "string" || !(0, is_http_url_1.default)(to)
+      )
+    ) {
+      throw Error(`httpRedirects is not correctly specified in config`)
+    }
+  }
+  if (config.donLimits && !Object.keys(DonLimits_1.DonLimitProfiles).includes(config.donLimits)) {
+    throw Error(`donLimits is not correctly specified in config`)
+  }
+  if (config.profiles) {
+    if (typeof config.profiles !== "object" || Array.isArray(config.profiles)) {
+      throw Error("profiles object is not correctly specified in config")
+    }
+    for (const [profile, profileConfig] of Object.entries(config.profiles)) {
+      if (typeof profileConfig !== "object" || profileConfig === null || Array.isArray(profileConfig)) {
+        throw Error(`profile ${profile} is not correctly specified in config`)
+      }
+    }
+  }
+  if (config.aggregationMethod) {
+    switch (config.aggregationMethod) {
+      case "mode":
+      case "median":
+        break
+      default:
+        throw Error(`aggregationMethod is not correctly specified in config`)
+    }
+  }
   return config
 }
 exports.getRequestConfig = getRequestConfig
+// Raw Gist URLs which include the revision serve the same content forever, whereas the content of any other URL is up
+// to its host
+const isImmutableUrl = (url) =>
+  /^https:\/\/gist\.githubusercontent\.com\/[^/]+\/[0-9a-f]+\/raw\/[0-9a-f]{40}\//.test(url)
@@ -10,11 +10,15 @@ const process_1 = __importDefault(require("process"))
 const Log_1 = require("./Log")
 const Validator_1 = require("./Validator")
 const Sandbox_1 = require("./Sandbox")
+const DonLimits_1 = require("./DonLimits")
 const validator = new Validator_1.Validator(
-  parseInt(process_1.default.env["DEFAULT_MAX_RESPONSE_BYTES"] ?? "256"),
-  parseInt(process_1.default.env["DEFAULT_MAX_HTTP_QUERIES"] ?? "5")
+  (0, DonLimits_1.getDonLimits)(process_1.default.env["DON_LIMIT_PROFILE"] || undefined)
 )
-const handler = async (event, _) => {
+const handler = async (event, _) =>
+  // Every entry logged while handling the event is tagged with its requestId & has the secrets scrubbed
+  Log_1.Log.runWithContext({ requestId: event?.requestId, secrets: event?.secrets }, () => handleEvent(event))
+exports.handler = handler
+const handleEvent = async (event) => {
   // Validate the request
   try {
     // This is wrapped in an `if` statement for TypeScript's type checking system
@@ -34,12 +38,24 @@ const handler = async (event, _) => {
   Log_1.Log.trace("Valid Event Initiated", event.requestId)
   const sandbox = new Sandbox_1.Sandbox(
     process_1.default.env["DISABLE_TMP_CLEAR_FOR_TESTING"] === "true",
-    process_1.default.env["ENABLE_CONSOLE_LOG_FROM_SANDBOX"] === "true"
+    process_1.default.env["ENABLE_CONSOLE_LOG_FROM_SANDBOX"] === "true",
+    process_1.default.env["HTTP_MODE_FOR_TESTING"] || undefined,
+    process_1.default.env["HTTP_FIXTURE_FILE_FOR_TESTING"] || undefined,
+    process_1.default.env["SANDBOX_BACKEND"] || undefined,
+    JSON.parse(process_1.default.env["HTTP_REDIRECTS_FOR_TESTING"] || "{}")
   )
   // Execute the user-provided code in the sandbox
   let output
   try {
-    output = await sandbox.evaluate(event.numAllowedQueries, event.source, event.args, event.secrets)
+    output = await sandbox.evaluate(
+      event.numAllowedQueries,
+      event.source,
+      event.args,
+      event.secrets,
+      event.timeoutMs,
+      event.maxMemoryMb,
+      event.limits
+    )
   } catch (untypedError) {
     const sandboxError = untypedError
     Log_1.Log.trace(JSON.stringify(sandboxError), event.requestId)
@@ -73,6 +89,7 @@ const handler = async (event, _) => {
       error: {
         name: "Output Validation Error",
         message: error.message,
+        limit: error.limit,
       },
     })
   }
@@ -83,7 +100,6 @@ const handler = async (event, _) => {
     userHttpQueries: output.userHttpQueries,
   })
 }
-exports.handler = handler
 const buildResult = (result) => {
   return {
     statusCode: 200,
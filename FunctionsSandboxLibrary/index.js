@@ -1,6 +1,33 @@
 "use strict"
 Object.defineProperty(exports, "__esModule", { value: true })
-exports.getRequestConfig = exports.buildRequest = exports.getDecodedResultLog = exports.simulateRequest = void 0
+exports.applyProfile =
+  exports.getProfileNames =
+  exports.simulateProfiles =
+  exports.applyArgOverrides =
+  exports.checkArgs =
+  exports.ArgType =
+  exports.checkSecrets =
+  exports.getSecretsUsage =
+  exports.mapStackTrace =
+  exports.getSourceSizeLog =
+  exports.getSourceSize =
+  exports.bundleSource =
+  exports.lintBundledSource =
+  exports.getSourceHash =
+  exports.fetchSource =
+  exports.getLintLog =
+  exports.lintSource =
+  exports.decodeScreeningError =
+  exports.decodeBatchScreeningResult =
+  exports.decodeScreeningResult =
+  exports.getRequestConfig =
+  exports.buildRequest =
+  exports.getHttpTraceLog =
+  exports.getDecodedResultLog =
+  exports.AggregationMethod =
+  exports.simulateDonRequest =
+  exports.simulateRequest =
+    void 0
 var simulateRequest_1 = require("./simulateRequest")
 Object.defineProperty(exports, "simulateRequest", {
   enumerable: true,
@@ -8,12 +35,36 @@ Object.defineProperty(exports, "simulateRequest", {
     return simulateRequest_1.simulateRequest
   },
 })
+Object.defineProperty(exports, "simulateDonRequest", {
+  enumerable: true,
+  get: function () {
+    return simulateRequest_1.simulateDonRequest
+  },
+})
+Object.defineProperty(exports, "simulateProfiles", {
+  enumerable: true,
+  get: function () {
+    return simulateRequest_1.simulateProfiles
+  },
+})
+Object.defineProperty(exports, "AggregationMethod", {
+  enumerable: true,
+  get: function () {
+    return simulateRequest_1.AggregationMethod
+  },
+})
 Object.defineProperty(exports, "getDecodedResultLog", {
   enumerable: true,
   get: function () {
     return simulateRequest_1.getDecodedResultLog
   },
 })
+Object.defineProperty(exports, "getHttpTraceLog", {
+  enumerable: true,
+  get: function () {
+    return simulateRequest_1.getHttpTraceLog
+  },
+})
 var buildRequest_1 = require("./buildRequest")
 Object.defineProperty(exports, "buildRequest", {
   enumerable: true,
@@ -28,3 +79,124 @@ Object.defineProperty(exports, "getRequestConfig", {
     return getRequestConfig_1.getRequestConfig
   },
 })
+var fetchSource_1 = require("./fetchSource")
+Object.defineProperty(exports, "fetchSource", {
+  enumerable: true,
+  get: function () {
+    return fetchSource_1.fetchSource
+  },
+})
+Object.defineProperty(exports, "getSourceHash", {
+  enumerable: true,
+  get: function () {
+    return fetchSource_1.getSourceHash
+  },
+})
+var lintSource_1 = require("./lintSource")
+Object.defineProperty(exports, "lintSource", {
+  enumerable: true,
+  get: function () {
+    return lintSource_1.lintSource
+  },
+})
+Object.defineProperty(exports, "lintBundledSource", {
+  enumerable: true,
+  get: function () {
+    return lintSource_1.lintBundledSource
+  },
+})
+Object.defineProperty(exports, "getLintLog", {
+  enumerable: true,
+  get: function () {
+    return lintSource_1.getLintLog
+  },
+})
+var decodeScreeningResult_1 = require("./decodeScreeningResult")
+Object.defineProperty(exports, "decodeScreeningResult", {
+  enumerable: true,
+  get: function () {
+    return decodeScreeningResult_1.decodeScreeningResult
+  },
+})
+Object.defineProperty(exports, "decodeScreeningError", {
+  enumerable: true,
+  get: function () {
+    return decodeScreeningResult_1.decodeScreeningError
+  },
+})
+Object.defineProperty(exports, "decodeBatchScreeningResult", {
+  enumerable: true,
+  get: function () {
+    return decodeScreeningResult_1.decodeBatchScreeningResult
+  },
+})
+var bundleSource_1 = require("./bundleSource")
+Object.defineProperty(exports, "bundleSource", {
+  enumerable: true,
+  get: function () {
+    return bundleSource_1.bundleSource
+  },
+})
+Object.defineProperty(exports, "getSourceSize", {
+  enumerable: true,
+  get: function () {
+    return bundleSource_1.getSourceSize
+  },
+})
+Object.defineProperty(exports, "getSourceSizeLog", {
+  enumerable: true,
+  get: function () {
+    return bundleSource_1.getSourceSizeLog
+  },
+})
+Object.defineProperty(exports, "mapStackTrace", {
+  enumerable: true,
+  get: function () {
+    return bundleSource_1.mapStackTrace
+  },
+})
+var checkSecrets_1 = require("./checkSecrets")
+Object.defineProperty(exports, "getSecretsUsage", {
+  enumerable: true,
+  get: function () {
+    return checkSecrets_1.getSecretsUsage
+  },
+})
+Object.defineProperty(exports, "checkSecrets", {
+  enumerable: true,
+  get: function () {
+    return checkSecrets_1.checkSecrets
+  },
+})
+var checkArgs_1 = require("./checkArgs")
+Object.defineProperty(exports, "ArgType", {
+  enumerable: true,
+  get: function () {
+    return checkArgs_1.ArgType
+  },
+})
+Object.defineProperty(exports, "checkArgs", {
+  enumerable: true,
+  get: function () {
+    return checkArgs_1.checkArgs
+  },
+})
+Object.defineProperty(exports, "applyArgOverrides", {
+  enumerable: true,
+  get: function () {
+    return checkArgs_1.applyArgOverrides
+  },
+})
+var requestProfiles_1 = require("./requestProfiles")
+Object.defineProperty(exports, "getProfileNames", {
+  enumerable: true,
+  get: function () {
+    return requestProfiles_1.getProfileNames
+  },
+})
+Object.defineProperty(exports, "applyProfile", {
+  enumerable: true,
+  get: function () {
+    return requestProfiles_1.applyProfile
+  },
+})
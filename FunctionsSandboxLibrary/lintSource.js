@@ -0,0 +1,246 @@
+"use strict"
+var __importDefault =
+  (this && this.__importDefault) ||
+  function (mod) {
+    return mod && mod.__esModule ? mod : { default: mod }
+  }
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.getLintLog =
+  exports.lintBundledSource =
+  exports.lintSource =
+  exports.IgnoreDirective =
+  exports.DeterminismRules =
+    void 0
+const acorn_1 = require("acorn")
+const acorn_walk_1 = __importDefault(require("acorn-walk"))
+// Constructs which make the nodes of a DON compute different results from the same request, by rule name
+exports.DeterminismRules = {
+  random: "returns random values, which differ between nodes",
+  time: "reads the current time, which differs between nodes",
+  "iteration-order": "depends on the order of an API result, which is not guaranteed to be the same for every node",
+  "unbounded-retry": "retries without a bound, so nodes can time out after a different number of attempts",
+  parse: "could not be parsed",
+}
+// A comment starting with this directive suppresses the findings on its line & the next one. It can be followed by
+// the rules to suppress (all of them otherwise) & a reason after "--", ie: // determinism-ignore time -- logged only
+exports.IgnoreDirective = "determinism-ignore"
+const RandomMethods = ["randomBytes", "randomUUID", "randomInt", "randomFill", "randomFillSync", "getRandomValues"]
+// Array methods which pick elements by their position, so their result depends on the order of the array
+const OrderedArrayMethods = ["find", "findIndex", "findLast", "findLastIndex", "join", "shift", "pop"]
+// Statically checks the source code of a request for nondeterministic constructs. Returns the findings
+// { rule, line, message, suppressed } ordered by line, line numbers are those of the source code. The modules of a
+// bundled source are linted with the "module" sourceType.
+const lintSource = (source, sourceType = "script") => {
+  const comments = []
+  let ast
+  try {
+    ast = (0, acorn_1.parse)(source, {
+      ecmaVersion: "latest",
+      sourceType,
+      // The source code is the body of an async function
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      locations: true,
+      onComment: comments,
+    })
+  } catch (untypedError) {
+    const error = untypedError
+    return [{ rule: "parse", line: error.loc?.line ?? 1, message: `${error.message}`, suppressed: false }]
+  }
+  const findings = []
+  const report = (rule, node, construct) =>
+    findings.push({ rule, line: node.loc.start.line, message: `${construct} ${exports.DeterminismRules[rule]}` })
+  // Variables holding an API result, ie: const alerts = response.data.alerts or const { data } = response
+  const apiResults = new Set()
+  acorn_walk_1.default.simple(ast, {
+    VariableDeclarator(node) {
+      if (node.init && referencesApiResult(node.init, apiResults)) {
+        getDeclaredNames(node.id).forEach((name) => apiResults.add(name))
+      } else if (node.id.type === "ObjectPattern") {
+        node.id.properties
+          .filter((property) => !property.computed && property.key?.name === "data")
+          .forEach((property) => getDeclaredNames(property.value).forEach((name) => apiResults.add(name)))
+      }
+    },
+  })
+  acorn_walk_1.default.simple(ast, {
+    CallExpression(node) {
+      const callee = getCalleeName(node.callee)
+      if (callee === "Math.random" || RandomMethods.includes(getPropertyName(node.callee))) {
+        report("random", node, `${callee}()`)
+      } else if (callee === "Date.now" || callee === "Date") {
+        report("time", node, `${callee}()`)
+      } else if (
+        OrderedArrayMethods.includes(getPropertyName(node.callee)) &&
+        isUnsortedApiResult(node.callee.object, apiResults)
+      ) {
+        report("iteration-order", node, `.${getPropertyName(node.callee)}()`)
+      }
+    },
+    NewExpression(node) {
+      if (getCalleeName(node.callee) === "Date" && node.arguments.length === 0) {
+        report("time", node, "new Date()")
+      }
+    },
+    MemberExpression(node) {
+      if (
+        node.computed &&
+        node.property.type === "Literal" &&
+        typeof node.property.value === "number" &&
+        isUnsortedApiResult(node.object, apiResults)
+      ) {
+        report("iteration-order", node, `[${node.property.value}]`)
+      }
+    },
+    // A loop which stops at the first matching element picks it by its position
+    ForInStatement(node) {
+      if (referencesApiResult(node.right, apiResults) && exitsEarly(node.body)) {
+        report("iteration-order", node, "for...in")
+      }
+    },
+    ForOfStatement(node) {
+      if (isUnsortedApiResult(node.right, apiResults) && exitsEarly(node.body)) {
+        report("iteration-order", node, "for...of")
+      }
+    },
+    WhileStatement: (node) => checkLoop(node, report),
+    DoWhileStatement: (node) => checkLoop(node, report),
+    ForStatement: (node) => checkLoop(node, report),
+  })
+  const directives = comments.map(parseIgnoreDirective).filter(Boolean)
+  return findings
+    .map((finding) => ({
+      ...finding,
+      suppressed: directives.some(
+        ({ line, rules }) =>
+          (finding.line === line || finding.line === line + 1) && (rules.length === 0 || rules.includes(finding.rule))
+      ),
+    }))
+    .sort((a, b) => a.line - b.line)
+}
+exports.lintSource = lintSource
+// Lints the modules a bundled source was bundled from using the sources of its source map, as comments (& so the
+// determinism-ignore directives) are not kept in the bundle. The findings carry the file of their module.
+const lintBundledSource = (sourceMap) =>
+  sourceMap.sources.flatMap((file, i) =>
+    (0, exports.lintSource)(sourceMap.sourcesContent?.[i] ?? "", "module").map((finding) => ({ file, ...finding }))
+  )
+exports.lintBundledSource = lintBundledSource
+// Formats the findings of lintSource, listing the suppressed ones as a count
+const getLintLog = (findings) => {
+  if (findings.length === 0) {
+    return ""
+  }
+  const reported = findings.filter((finding) => !finding.suppressed)
+  const suppressed = findings.length - reported.length
+  const lines = reported.map(
+    ({ file, rule, line, message }) => `${file ? `${file} line` : "Line"} ${line} (${rule}): ${message}`
+  )
+  if (suppressed > 0) {
+    lines.push(`${suppressed} finding(s) suppressed with ${exports.IgnoreDirective} comments`)
+  }
+  if (reported.length > 0) {
+    lines.push(
+      `Suppress a deliberate finding with a "// ${exports.IgnoreDirective} <rule> -- <reason>" comment on or above its line`
+    )
+  }
+  return `__Determinism lint__\n${lines.join("\n")}\n`
+}
+exports.getLintLog = getLintLog
+// An awaited loop without a condition (or with a constant one) retries until the request times out
+const checkLoop = (node, report) => {
+  const unbounded = !node.test || (node.test.type === "Literal" && Boolean(node.test.value))
+  if (!unbounded) {
+    return
+  }
+  let awaits = false
+  acorn_walk_1.default.simple(node.body, {
+    AwaitExpression() {
+      awaits = true
+    },
+    ForOfStatement(loop) {
+      awaits = awaits || loop.await
+    },
+  })
+  if (awaits) {
+    const loop = { ForStatement: "for (;;)", WhileStatement: "while (true)", DoWhileStatement: "do...while (true)" }
+    report("unbounded-retry", node, loop[node.type])
+  }
+}
+// Whether a loop body contains a break or return, ignoring the functions defined in it
+const exitsEarly = (body) => {
+  let exits = false
+  const skipFunctions = {
+    ...acorn_walk_1.default.base,
+    FunctionDeclaration: () => {},
+    FunctionExpression: () => {},
+    ArrowFunctionExpression: () => {},
+  }
+  acorn_walk_1.default.simple(
+    body,
+    {
+      BreakStatement() {
+        exits = true
+      },
+      ReturnStatement() {
+        exits = true
+      },
+    },
+    skipFunctions
+  )
+  return exits
+}
+// The body of an HTTP response is its data field, values derived from it are API results
+const referencesApiResult = (node, apiResults) => {
+  let found = false
+  if (!node) {
+    return found
+  }
+  acorn_walk_1.default.full(node, (child) => {
+    if (child.type === "MemberExpression" && !child.computed && child.property.name === "data") {
+      found = true
+    } else if (child.type === "Identifier" && apiResults.has(child.name)) {
+      found = true
+    }
+  })
+  return found
+}
+// Iterating over a sorted copy of an API result is deterministic
+const isUnsortedApiResult = (node, apiResults) =>
+  !(node.type === "CallExpression" && getPropertyName(node.callee) === "sort") && referencesApiResult(node, apiResults)
+const getDeclaredNames = (pattern) => {
+  switch (pattern.type) {
+    case "Identifier":
+      return [pattern.name]
+    case "ObjectPattern":
+      return pattern.properties.flatMap((property) => getDeclaredNames(property.value ?? property.argument))
+    case "ArrayPattern":
+      return pattern.elements.filter(Boolean).flatMap(getDeclaredNames)
+    case "RestElement":
+      return getDeclaredNames(pattern.argument)
+    case "AssignmentPattern":
+      return getDeclaredNames(pattern.left)
+    default:
+      return []
+  }
+}
+const getPropertyName = (callee) =>
+  callee.type === "MemberExpression" && !callee.computed ? callee.property.name : undefined
+// Name of a called identifier or of a method called on an identifier, ie: Date.now
+const getCalleeName = (callee) => {
+  if (callee.type === "Identifier") {
+    return callee.name
+  }
+  if (callee.type === "MemberExpression" && callee.object.type === "Identifier" && !callee.computed) {
+    return `${callee.object.name}.${callee.property.name}`
+  }
+  return getPropertyName(callee) ?? ""
+}
+const parseIgnoreDirective = (comment) => {
+  const text = comment.value.trim()
+  if (!text.startsWith(exports.IgnoreDirective)) {
+    return undefined
+  }
+  const [rules] = text.slice(exports.IgnoreDirective.length).split("--")
+  return { line: comment.loc.end.line, rules: rules.split(/[\s,]+/).filter(Boolean) }
+}
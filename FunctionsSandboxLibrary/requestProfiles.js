@@ -0,0 +1,31 @@
+"use strict"
+Object.defineProperty(exports, "__esModule", { value: true })
+exports.applyProfile = exports.getProfileNames = void 0
+// Names of the request profiles of a config, in the order they are declared
+const getProfileNames = (config) => Object.keys(config.profiles ?? {})
+exports.getProfileNames = getProfileNames
+// Returns the config of a request profile: the fields of the profile replace the fields of the config, except for
+// secrets which are merged so that a profile can override a single secret. Without a profile name, the config is
+// returned without its profiles.
+const applyProfile = (config, profile) => {
+  const { profiles, ...baseConfig } = config
+  if (profile === undefined) {
+    return baseConfig
+  }
+  if (!profiles || !Object.prototype.hasOwnProperty.call(profiles, profile)) {
+    const names = (0, exports.getProfileNames)(config)
+    throw Error(
+      `Unknown request profile ${profile}, ` +
+        (names.length > 0 ? `expected one of ${names.join(", ")}` : "the config does not declare any profiles")
+    )
+  }
+  const profileConfig = profiles[profile]
+  return {
+    ...baseConfig,
+    ...profileConfig,
+    ...((baseConfig.secrets || profileConfig.secrets) && {
+      secrets: { ...baseConfig.secrets, ...profileConfig.secrets },
+    }),
+  }
+}
+exports.applyProfile = applyProfile
@@ -1,64 +1,376 @@
 "use strict"
+var __importDefault =
+  (this && this.__importDefault) ||
+  function (mod) {
+    return mod && mod.__esModule ? mod : { default: mod }
+  }
 Object.defineProperty(exports, "__esModule", { value: true })
-exports.getDecodedResultLog = exports.simulateRequest = void 0
+exports.getHttpTraceLog =
+  exports.getDecodedResultLog =
+  exports.simulateProfiles =
+  exports.simulateDonRequest =
+  exports.AggregationMethod =
+  exports.simulateRequest =
+    void 0
+const fs_1 = __importDefault(require("fs"))
 const getRequestConfig_1 = require("./getRequestConfig")
 const handler_1 = require("./handler")
+const decodeScreeningResult_1 = require("./decodeScreeningResult")
+const HttpFixtures_1 = require("./HttpFixtures")
+const DonLimits_1 = require("./DonLimits")
+const fetchSource_1 = require("./fetchSource")
+const bundleSource_1 = require("./bundleSource")
+const checkSecrets_1 = require("./checkSecrets")
+const requestProfiles_1 = require("./requestProfiles")
+const abi_1 = require("@ethersproject/abi")
+const bignumber_1 = require("@ethersproject/bignumber")
 const simulateRequest = async (unvalidatedConfig) => {
   const config = (0, getRequestConfig_1.getRequestConfig)(unvalidatedConfig)
+  const source = await (0, fetchSource_1.fetchSource)(config)
+  ;(0, checkSecrets_1.checkSecrets)(config, source)
+  // HTTP requests can be recorded to or replayed from fixture files, the config fields take precedence over the
+  // FUNCTIONS_HTTP_MODE & FUNCTIONS_HTTP_FIXTURES environment variables
+  const httpMode = config.httpMode ?? process.env["FUNCTIONS_HTTP_MODE"] ?? HttpFixtures_1.HttpMode.Live
+  if (!Object.values(HttpFixtures_1.HttpMode).includes(httpMode)) {
+    throw Error(`Invalid HTTP mode ${httpMode}, expected one of ${Object.values(HttpFixtures_1.HttpMode).join(", ")}`)
+  }
+  const httpFixtureFile = HttpFixtures_1.HttpFixtures.getFixtureFile(
+    config.httpFixturesPath ?? process.env["FUNCTIONS_HTTP_FIXTURES"] ?? HttpFixtures_1.HttpFixtures.DefaultDirectory,
+    config.args
+  )
+  if (httpMode === HttpFixtures_1.HttpMode.Replay && !fs_1.default.existsSync(httpFixtureFile)) {
+    throw Error(
+      `HTTP fixture file ${httpFixtureFile} not found for args ${JSON.stringify(config.args ?? [])}, record it first ` +
+        `with the "record" HTTP mode`
+    )
+  }
+  // The simulation enforces the DON limits of the donLimits profile, which are overridden by the config fields
+  const donLimitProfile = config.donLimits ?? DonLimits_1.DefaultDonLimitProfile
+  const limits = {
+    ...(0, DonLimits_1.getDonLimits)(donLimitProfile),
+    ...(config.numAllowedQueries && { maxHttpQueries: config.numAllowedQueries }),
+    ...(config.maxResponseBytes && { maxResponseBytes: config.maxResponseBytes }),
+    ...(config.timeoutMs && { timeoutMs: config.timeoutMs }),
+    ...(config.maxMemoryMb && { maxMemoryMb: config.maxMemoryMb }),
+  }
   const savedEnv = {
     DISABLE_TMP_CLEAR_FOR_TESTING: process.env["DISABLE_TMP_CLEAR_FOR_TESTING"],
     ENABLE_CONSOLE_LOG_FROM_SANDBOX: process.env["ENABLE_CONSOLE_LOG_FROM_SANDBOX"],
+    HTTP_MODE_FOR_TESTING: process.env["HTTP_MODE_FOR_TESTING"],
+    HTTP_FIXTURE_FILE_FOR_TESTING: process.env["HTTP_FIXTURE_FILE_FOR_TESTING"],
+    HTTP_REDIRECTS_FOR_TESTING: process.env["HTTP_REDIRECTS_FOR_TESTING"],
   }
   process.env["DISABLE_TMP_CLEAR_FOR_TESTING"] = "true"
   process.env["ENABLE_CONSOLE_LOG_FROM_SANDBOX"] = "true"
-  const timeout = setTimeout(() => {
-    throw Error("Runtime of 15 seconds for sandboxed source code has been exceeded")
-  }, 15000)
-  const resultString = (
-    await (0, handler_1.handler)({
-      source: config.source,
-      numAllowedQueries: config.numAllowedQueries,
-      args: config.args,
-      secrets: config.secrets,
-      maxResponseBytes: config.maxResponseBytes,
-    })
-  ).body
-  clearTimeout(timeout)
-  for (const envVar in savedEnv) {
-    process.env[envVar] = savedEnv[envVar]
+  process.env["HTTP_MODE_FOR_TESTING"] = httpMode
+  process.env["HTTP_FIXTURE_FILE_FOR_TESTING"] = httpFixtureFile
+  process.env["HTTP_REDIRECTS_FOR_TESTING"] = JSON.stringify(config.httpRedirects ?? {})
+  let resultString
+  try {
+    resultString = (
+      await (0, handler_1.handler)({
+        source,
+        args: config.args,
+        secrets: config.secrets,
+        donLimits: donLimitProfile,
+        numAllowedQueries: limits.maxHttpQueries,
+        maxResponseBytes: limits.maxResponseBytes,
+        timeoutMs: limits.timeoutMs,
+        maxMemoryMb: limits.maxMemoryMb,
+      })
+    ).body
+  } finally {
+    // The environment variables of the caller are restored even if the simulation throws
+    for (const envVar in savedEnv) {
+      if (savedEnv[envVar] === undefined) {
+        delete process.env[envVar]
+      } else {
+        process.env[envVar] = savedEnv[envVar]
+      }
+    }
   }
   const result = JSON.parse(resultString)
+  // Fail loudly instead of returning the error to the caller when a request was not recorded
+  if (result.error?.name === HttpFixtures_1.HttpFixtures.ReplayErrorName) {
+    throw Error(result.error.message)
+  }
+  const userHttpQueries = (result.success ? result.userHttpQueries : result.error.userHttpQueries) ?? []
+  // Names of the DON limits which made an HTTP request or the whole request fail
+  const exceededLimits = [
+    ...new Set([...userHttpQueries.map((query) => query.limit), result.error?.limit].filter(Boolean)),
+  ]
+  const httpTraceLog =
+    (0, exports.getHttpTraceLog)(userHttpQueries) + getExceededLimitsLog(exceededLimits, limits, donLimitProfile)
   if (result.success) {
     return {
       success: true,
       result: result.success,
-      resultLog: `__Output from sandboxed source code__\nOutput represented as a hex string: ${result.success}\n${(0,
-      exports.getDecodedResultLog)(config, result.success)}`,
+      resultLog: `${httpTraceLog}__Output from sandboxed source code__\nOutput represented as a hex string: ${
+        result.success
+      }\n${(0, exports.getDecodedResultLog)(config, result.success)}`,
+      userHttpQueries,
+      exceededLimits,
     }
   }
   const { message } = result.error
-  const errorString = `${message}`.slice(0, config.maxResponseBytes)
+  const errorString = `${message}`.slice(0, limits.maxResponseBytes)
   return {
     success: false,
     result: `0x${Buffer.from(errorString).toString("hex")}`,
-    resultLog: `__Error thrown in sandboxed source code__\n${message}\n`,
+    resultLog: `${httpTraceLog}__Error thrown in sandboxed source code__\n${message}\n${getStackTraceLog(
+      config,
+      result.error.details
+    )}${(0, exports.getDecodedResultLog)(config, errorString, true)}`,
+    userHttpQueries,
+    exceededLimits,
   }
 }
 exports.simulateRequest = simulateRequest
-const getDecodedResultLog = (config, successResult) => {
+// Rules used by the DON to aggregate the outputs of its nodes into a single response
+exports.AggregationMethod = {
+  // The most common output, ties go to the output of the lowest numbered node
+  Mode: "mode",
+  // The median of the outputs read as unsigned big-endian integers
+  Median: "median",
+}
+// Number of nodes simulated when the config has no perNodeSecrets
+const DefaultNumNodes = 4
+// Runs the source code on numNodes independent nodes like a DON, each one with its entry of perNodeSecrets (or the
+// secrets when it has none), aggregates their outputs with the aggregationMethod of the config & reports the nodes
+// which returned a different output or made different HTTP requests
+const simulateDonRequest = async (unvalidatedConfig, numNodes) => {
+  const config = (0, getRequestConfig_1.getRequestConfig)(unvalidatedConfig)
+  const perNodeSecrets = config.perNodeSecrets ?? []
+  const nodeCount = numNodes ?? (perNodeSecrets.length || DefaultNumNodes)
+  if (!Number.isInteger(nodeCount) || nodeCount < 1) {
+    throw Error(`Invalid number of nodes ${numNodes}, expected a positive integer`)
+  }
+  const aggregationMethod = config.aggregationMethod ?? exports.AggregationMethod.Mode
+  // Remote source code is fetched once for every node
+  const inlineConfig = {
+    ...config,
+    codeLocation: getRequestConfig_1.Location_.Inline,
+    source: await (0, fetchSource_1.fetchSource)(config),
+  }
+  const nodes = []
+  for (let i = 0; i < nodeCount; i++) {
+    const secretsName = perNodeSecrets[i] ? `perNodeSecrets[${i}]` : "secrets"
+    console.log(`\n__Simulating node ${i + 1} of ${nodeCount} with ${secretsName}__`)
+    const simulation = await (0, exports.simulateRequest)({
+      ...inlineConfig,
+      secrets: perNodeSecrets[i] ?? config.secrets,
+    })
+    nodes.push({ node: i + 1, secrets: secretsName, ...simulation })
+  }
+  const { success, result } = aggregateOutputs(nodes, aggregationMethod)
+  const rows = nodes.map((node) => [
+    `${node.node}`,
+    node.secrets,
+    node.success ? "result" : "error",
+    truncate(node.success ? node.result : JSON.stringify(decodeErrorString(node.result)), 66),
+    `${node.userHttpQueries.length}`,
+  ])
+  const nodesLog = `__Simulated DON of ${nodeCount} nodes (${aggregationMethod} aggregation)__\n${formatTable(
+    ["Node", "Secrets", "Outcome", "Output", "HTTP requests"],
+    rows
+  )}\n\n`
+  const divergences = getDivergences(nodes, { success, result })
+  const divergenceLog = `__Divergence between nodes__\n${
+    divergences.length > 0
+      ? divergences.join("\n")
+      : `All ${nodeCount} nodes returned the same output & made the same HTTP requests`
+  }\n\n`
+  const outputLog = success
+    ? `__Aggregated output__\nOutput represented as a hex string: ${result}\n${(0, exports.getDecodedResultLog)(
+        config,
+        result
+      )}`
+    : `__Aggregated error__\n${decodeErrorString(result)}\n${(0, exports.getDecodedResultLog)(
+        config,
+        decodeErrorString(result),
+        true
+      )}`
+  return {
+    success,
+    result,
+    resultLog: nodesLog + divergenceLog + outputLog,
+    nodes,
+    diverged: divergences.length > 0,
+    exceededLimits: [...new Set(nodes.flatMap((node) => node.exceededLimits))],
+  }
+}
+exports.simulateDonRequest = simulateDonRequest
+// Simulates the request profiles of a config one after the other, all of them unless profileNames are given, & summarizes
+// their outcomes. A profile whose config is invalid is reported as such without stopping the other simulations.
+const simulateProfiles = async (unvalidatedConfig, profileNames) => {
+  const names = profileNames ?? (0, requestProfiles_1.getProfileNames)(unvalidatedConfig)
+  if (names.length === 0) {
+    throw Error("The config does not declare any request profiles")
+  }
+  const profiles = []
+  for (const profile of names) {
+    const config = (0, requestProfiles_1.applyProfile)(unvalidatedConfig, profile)
+    console.log(`\n__Simulating profile ${profile}__`)
+    let simulation
+    try {
+      simulation = await (0, exports.simulateRequest)(config)
+    } catch (untypedError) {
+      const error = untypedError
+      profiles.push({
+        profile,
+        success: false,
+        invalid: true,
+        error: error.message,
+        userHttpQueries: [],
+        exceededLimits: [],
+      })
+      continue
+    }
+    profiles.push({ profile, invalid: false, output: getOutputSummary(config, simulation), ...simulation })
+  }
+  const rows = profiles.map((profile) => [
+    profile.profile,
+    profile.invalid ? "invalid config" : profile.success ? "result" : "error",
+    truncate(profile.invalid ? profile.error.split("\n").join(" ") : profile.output, 80),
+    `${profile.userHttpQueries.length}`,
+    profile.exceededLimits.join(", ") || "none",
+  ])
+  const summaryLog = `__Simulated ${profiles.length} request profiles__\n${formatTable(
+    ["Profile", "Outcome", "Output", "HTTP requests", "DON limits exceeded"],
+    rows
+  )}\n`
+  return { profiles, summaryLog }
+}
+exports.simulateProfiles = simulateProfiles
+// One line summary of the output of a simulation, decoded according to expectedReturnType when possible
+const getOutputSummary = (config, { success, result }) => {
+  if (!success) {
+    return decodeErrorString(result)
+  }
+  const decoded = (0, exports.getDecodedResultLog)(config, result)
+    .trim()
+    .replace(/^Decoded as [^:]+: /, "")
+    .replace(/\s*\n\s*/g, " ")
+  return decoded || result
+}
+// The DON responds with an error when most nodes returned one, errors are always aggregated with the mode
+const aggregateOutputs = (nodes, aggregationMethod) => {
+  const results = nodes.filter((node) => node.success).map((node) => node.result)
+  const errors = nodes.filter((node) => !node.success).map((node) => node.result)
+  if (errors.length > results.length) {
+    return { success: false, result: getMode(errors) }
+  }
+  return {
+    success: true,
+    result: aggregationMethod === exports.AggregationMethod.Median ? getMedian(results) : getMode(results),
+  }
+}
+const getMode = (outputs) => {
+  const counts = new Map()
+  outputs.forEach((output) => counts.set(output, (counts.get(output) ?? 0) + 1))
+  // A Map iterates in insertion order, so the first of the most common outputs wins a tie
+  return [...counts.entries()].reduce((mode, entry) => (entry[1] > mode[1] ? entry : mode))[0]
+}
+const getMedian = (outputs) => {
+  const toBigInt = (hex) => BigInt(hex.length > 2 ? hex : "0x0")
+  const sorted = [...outputs].sort((a, b) => {
+    const difference = toBigInt(a) - toBigInt(b)
+    return difference < 0 ? -1 : difference > 0 ? 1 : 0
+  })
+  return sorted[Math.floor(sorted.length / 2)]
+}
+// Lists the nodes whose output differs from the aggregated one & the nodes whose HTTP requests (method, URL & body hash)
+// differ from those of the first node, which usually comes from the source code depending on the time or randomness
+const getDivergences = (nodes, aggregated) => {
+  const divergences = []
+  const outputs = new Set(nodes.map((node) => `${node.success}:${node.result}`))
+  if (outputs.size > 1) {
+    const dissenting = nodes.filter((node) => node.success !== aggregated.success || node.result !== aggregated.result)
+    divergences.push(
+      `Nodes returned ${outputs.size} different outputs, the output of node(s) ${dissenting
+        .map((node) => node.node)
+        .join(", ")} differs from the aggregated output`
+    )
+  }
+  const getRequests = (node) =>
+    node.userHttpQueries.map(
+      (query) => `${query.method} ${query.url}${query.bodyHash ? ` (body ${query.bodyHash})` : ""}`
+    )
+  const firstRequests = getRequests(nodes[0])
+  for (const node of nodes.slice(1)) {
+    const requests = getRequests(node)
+    const length = Math.max(requests.length, firstRequests.length)
+    const index = Array.from({ length }, (_, i) => i).find((i) => requests[i] !== firstRequests[i])
+    if (index !== undefined) {
+      divergences.push(
+        `Node ${node.node} made different HTTP requests than node 1 from request #${index + 1}: ${
+          requests[index] ?? "no request"
+        } instead of ${firstRequests[index] ?? "no request"}`
+      )
+    }
+  }
+  return divergences
+}
+const decodeErrorString = (hex) => Buffer.from(hex.slice(2), "hex").toString()
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 3)}...` : text)
+// Decodes a successful result according to expectedReturnType, or an error returned with isError set to true
+// into the screening error code thrown by the source code (if any)
+const getDecodedResultLog = (config, result, isError = false) => {
   let resultLog = ""
+  if (isError) {
+    const screeningError = (0, decodeScreeningResult_1.decodeScreeningError)(result)
+    if (screeningError) {
+      resultLog += `Decoded as a screening error: ${screeningError.name} (code ${screeningError.code}): ${screeningError.message}\n`
+    }
+    return resultLog
+  }
+  if (Array.isArray(config.expectedReturnType)) {
+    const types = `(${config.expectedReturnType.join(",")})`
+    try {
+      const values = abi_1.defaultAbiCoder.decode(config.expectedReturnType, result)
+      resultLog += `Decoded as ${types}: ${formatAbiValue(values)}\n`
+    } catch (untypedError) {
+      const error = untypedError
+      resultLog += `Could not decode as ${types}: ${error.reason ?? error.message}\n`
+    }
+    return resultLog
+  }
   if (config.expectedReturnType && config.expectedReturnType !== "Buffer") {
     let decodedOutput
     switch (config.expectedReturnType) {
       case "uint256":
-        decodedOutput = BigInt("0x" + successResult.slice(2).slice(-64))
+        decodedOutput = BigInt("0x" + result.slice(2).slice(-64))
         break
       case "int256":
-        decodedOutput = signedInt256toBigInt("0x" + successResult.slice(2).slice(-64))
+        decodedOutput = signedInt256toBigInt("0x" + result.slice(2).slice(-64))
         break
       case "string":
-        decodedOutput = Buffer.from(successResult.slice(2), "hex").toString()
+        decodedOutput = Buffer.from(result.slice(2), "hex").toString()
+        break
+      case "screeningResult": {
+        const { approved, riskTier, reason, categories } = (0, decodeScreeningResult_1.decodeScreeningResult)(
+          "0x" + result.slice(2).slice(-64)
+        )
+        decodedOutput = `${
+          approved ? "approved" : "rejected"
+        } (risk tier: ${riskTier}, reason: ${reason}, categories: ${categories.join(", ") || "none"})`
         break
+      }
+      case "batchScreeningResult": {
+        // The batch addresses are passed as a comma separated list in args[1]
+        const addresses = (config.args?.[1] ?? "").split(",").map((address) => address.trim())
+        const results = (0, decodeScreeningResult_1.decodeBatchScreeningResult)(
+          "0x" + result.slice(2).slice(-64),
+          addresses
+        )
+        decodedOutput = results
+          .map(
+            ({ address, screened, compliant }) =>
+              `\n  ${address}: ${screened ? (compliant ? "compliant" : "not compliant") : "not screened"}`
+          )
+          .join("")
+        break
+      }
       default:
         const end = config.expectedReturnType
         throw new Error(`unused expectedReturnType ${end}`)
@@ -69,6 +381,66 @@ const getDecodedResultLog = (config, successResult) => {
   return resultLog
 }
 exports.getDecodedResultLog = getDecodedResultLog
+// Formats the HTTP requests made by the sandboxed source code as a table, one row per request in the order they were made
+const getHttpTraceLog = (userHttpQueries) => {
+  if (userHttpQueries.length === 0) {
+    return ""
+  }
+  const header = ["#", "Method", "URL", "Status", "Duration", "Bytes", "Error"]
+  const rows = userHttpQueries.map((query, i) => [
+    `${i + 1}`,
+    query.method,
+    query.url,
+    `${query.status ?? "-"}`,
+    `${query.duration} ms`,
+    `${query.responseBytes}`,
+    query.error ? `yes${query.limit ? ` (${query.limit})` : ""}` : "no",
+  ])
+  return `__HTTP requests made by sandboxed source code__\n${formatTable(header, rows)}\n\n`
+}
+exports.getHttpTraceLog = getHttpTraceLog
+// Formats rows of strings as a table with a header & columns padded to the widest cell
+const formatTable = (header, rows) => {
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)))
+  const formatRow = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd()
+  return [header, widths.map((width) => "-".repeat(width)), ...rows].map(formatRow).join("\n")
+}
+// Stack frames of the source code of a bundled request, mapped to the modules it was bundled from. The frames of the
+// sandbox running the source code are left out.
+const getStackTraceLog = (config, stack) => {
+  if (!config.sourceMap || !stack) {
+    return ""
+  }
+  const frames = `${stack}`
+    .split("\n")
+    .slice(1)
+    .filter((line) => line.includes("source.js:"))
+  if (frames.length === 0) {
+    return ""
+  }
+  return `Stack trace:\n${(0, bundleSource_1.mapStackTrace)(frames.join("\n"), config.sourceMap)}\n`
+}
+const getExceededLimitsLog = (exceededLimits, limits, donLimitProfile) => {
+  if (exceededLimits.length === 0) {
+    return ""
+  }
+  const lines = exceededLimits.map((limit) => `${limit}: ${limits[limit]}`)
+  return `__DON limits exceeded (${donLimitProfile} limit profile)__\n${lines.join("\n")}\n\n`
+}
+// Formats ABI decoded values, with tuples & arrays in brackets
+const formatAbiValue = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatAbiValue).join(", ")}]`
+  }
+  if (bignumber_1.BigNumber.isBigNumber(value)) {
+    return value.toString()
+  }
+  return typeof value === "string" ? JSON.stringify(value) : `${value}`
+}
 const signedInt256toBigInt = (hex) => {
   const binary = BigInt(hex).toString(2).padStart(256, "0")
   // if the first bit is 0, number is positive
@@ -1,107 +1,160 @@
+// Screens users of the CompliantVault contract with a screening provider. The request source code is split into the
+// modules of the chainalysis directory, which are bundled into a single inline source (see bundleSource.js in
+// FunctionsSandboxLibrary). The default export is the body of the request.
+import { ErrorCode, screeningError } from "./chainalysis/errors"
+import { getHttpQueriesUsed, getMaxHttpQueries } from "./chainalysis/http"
+import { Reason, encodeBatchScreening, encodeScreening } from "./chainalysis/encoding"
+import { chainId, requireNetwork, toDecimalString } from "./chainalysis/networks"
+import { combineScreenings } from "./chainalysis/policy"
+import { Chainalysis } from "./chainalysis/chainalysisClient"
+import { TrmLabs } from "./chainalysis/trmClient"
+
 const RequestType = {
   Deposit: 0,
   Withdrawal: 1,
+  Sanctions: 2,
+  Batch: 3,
+}
+
+// Screening providers return one normalized screening { risk, categories, reason } where risk is one of RiskTiers,
+// categories are the categories the address has exposure to and reason is Reason.Approved if the risk policy accepts
+// the address. Each provider implements:
+//   requireApiKey()             throws if the API key secret of the provider is not set
+//   sanctionsOnly()             true if the deployment can only screen for sanctions
+//   queriesPerAddress           number of HTTP queries used by screenAddress
+//   screenAddress(address, isRegistered)
+//   screenWithdrawal(address, destination, network, asset, assetAmount, requestId, timestamp)
+//   screenSanctions(address)
+const ScreeningProviders = {
+  chainalysis: Chainalysis,
+  trm: TrmLabs,
 }
 
 const requestType = Number(args[0])
+// Batch requests take a comma separated list of addresses
 const address = args[1]
 const amount = args[2]
-
-if (secrets.apiKey == "") {
-  throw Error("CHAINALYSIS_API_KEY environment variable not set for Chainalysis API")
+// The asset symbol, defaulting to the native asset of the network given by args[4] (see networks.js)
+const asset = args[5]
+// Request ID assigned by the vault, used to derive the KYT withdrawal attempt identifier
+const requestId = args[6]
+// Address receiving the withdrawal, which is screened along with the requester when they differ
+const destination = args[7] || address
+// Timestamp of the block the vault request was made in, which is the time of the KYT withdrawal attempt
+const timestamp = args[9]
+// Screening provider, defaulting to Chainalysis
+const provider = ScreeningProviders[(args[8] || "chainalysis").toLowerCase()]
+if (!provider) {
+  throw screeningError(ErrorCode.InvalidInput, `Unsupported screening provider ${args[8]}`)
 }
 
-switch (requestType) {
-  case RequestType.Deposit: {
-    return checkDeposit(address)
-  }
-  case RequestType.Withdrawal: {
-    return checkWithdrawal(address, amount)
+export default async function screen() {
+  switch (requestType) {
+    case RequestType.Deposit: {
+      // Deployments with only a Sanctions Screening API key screen deposits for sanctions
+      if (provider.sanctionsOnly()) {
+        return checkSanctions(address, address)
+      }
+      return checkDeposit(address)
+    }
+    case RequestType.Withdrawal: {
+      return checkWithdrawal(address, destination, amount, chainId, asset, requestId, timestamp)
+    }
+    case RequestType.Sanctions: {
+      return checkSanctions(address, destination)
+    }
+    case RequestType.Batch: {
+      return checkBatch((address ?? "").split(",").map((a) => a.trim()))
+    }
+    default:
+      throw screeningError(ErrorCode.InvalidInput, `Invalid request type ${args[0]}`)
   }
-  default:
-    throw new Error("Invalid request type")
 }
 
 async function checkDeposit(address) {
-  const registerResponse = await Functions.makeHttpRequest({
-    method: "POST",
-    url: "https://api.chainalysis.com/api/risk/v2/entities",
-    headers: { Token: secrets.apiKey },
-    data: { address },
-  })
-  if (registerResponse.status !== 201) {
-    throw Error(registerResponse.statusText || registerResponse.status)
-  }
-
-  const riskResponse = await Functions.makeHttpRequest({
-    url: `https://api.chainalysis.com/api/risk/v2/entities/${address}`,
-    headers: { Token: secrets.apiKey },
-  })
-  if (riskResponse.status !== 200) {
-    throw Error(riskResponse.statusText || riskResponse.status)
-  }
-
-  const isCompliant = riskResponse.data.risk === "Low" ? 1 : 0
-
-  return Functions.encodeUint256(isCompliant)
+  provider.requireApiKey()
+  return encodeScreening(await provider.screenAddress(address))
 }
 
-async function checkWithdrawal(address, amount) {
-  const userId = "user" + generateRandomSequence()
-  const attemptIdentifier = "attempt" + generateRandomSequence()
-  const attemptTimestamp = new Date().toISOString().replace("Z", "")
-  const assetAmount = amount / 10 ** 18
-
-  const registrationResponse = await Functions.makeHttpRequest({
-    method: "POST",
-    url: `https://api.chainalysis.com/api/kyt/v2/users/${userId}/withdrawal-attempts`,
-    headers: { Token: secrets.apiKey },
-    data: {
-      network: "Ethereum",
-      asset: "ETH",
-      address,
-      attemptIdentifier,
-      assetAmount,
-      attemptTimestamp,
-    },
-  })
-  if (registrationResponse.status !== 202) {
-    throw Error(registrationResponse.statusText || registrationResponse.status)
+// Screens the destination of a withdrawal. When the destination differs from the requester, the requester is screened
+// first and the withdrawal is only screened if the requester is approved.
+async function checkWithdrawal(address, destination, amount, chainId, asset, requestId, timestamp) {
+  provider.requireApiKey()
+  const network = requireNetwork(chainId)
+  const withdrawalAsset = Object.keys(network.assets).find(
+    (a) => a.toUpperCase() === (asset || network.nativeAsset).toUpperCase()
+  )
+  if (!withdrawalAsset) {
+    throw screeningError(ErrorCode.InvalidInput, `Unsupported asset ${asset} on ${network.name}`)
   }
-  const id = registrationResponse.data.externalId
-
-  const exposuresResponse = await Functions.makeHttpRequest({
-    url: `https://api.chainalysis.com/api/kyt/v2/withdrawal-attempts/${id}/exposures`,
-    headers: { Token: secrets.apiKey },
-  })
-  if (exposuresResponse.status !== 200) {
-    throw Error(exposuresResponse.statusText || exposuresResponse.status)
+  const assetAmount = toDecimalString(amount, network.assets[withdrawalAsset])
+  if (!requestId) {
+    throw screeningError(ErrorCode.InvalidInput, "Request ID not provided for withdrawal")
   }
-  const hasDirectExposure = exposuresResponse.data.direct.name !== null
-
-  const alertsResponse = await Functions.makeHttpRequest({
-    url: `https://api.chainalysis.com/api/kyt/v2/withdrawal-attempts/${id}/alerts`,
-    headers: { Token: secrets.apiKey },
-  })
-  if (alertsResponse.status !== 200) {
-    throw Error(alertsResponse.statusText || alertsResponse.status)
+  if (!/^[0-9]+$/.test(timestamp ?? "")) {
+    throw screeningError(ErrorCode.InvalidInput, "Request timestamp not provided for withdrawal")
   }
-  const hasAlerts = alertsResponse.data.alerts.length > 0
 
-  const isCompliant = !hasDirectExposure && !hasAlerts ? 1 : 0
-
-  return Functions.encodeUint256(isCompliant)
+  let requesterScreening
+  if (!isSameAddress(address, destination)) {
+    // The requester was registered with the provider when depositing, which saves an HTTP query with Chainalysis
+    requesterScreening = await provider.screenAddress(address, true)
+    if (requesterScreening.reason !== Reason.Approved) {
+      return encodeScreening(requesterScreening)
+    }
+  }
+  const destinationScreening = await provider.screenWithdrawal(
+    address,
+    destination,
+    network,
+    withdrawalAsset,
+    assetAmount,
+    requestId,
+    timestamp
+  )
+  return encodeScreening(combineScreenings(requesterScreening, destinationScreening))
 }
 
-function generateRandomSequence() {
-  const characters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789"
-  let sequence = ""
+// Binary sanctioned / not sanctioned check
+async function checkSanctions(address, destination) {
+  const requesterScreening = await provider.screenSanctions(address)
+  if (isSameAddress(address, destination) || requesterScreening.reason !== Reason.Approved) {
+    return encodeScreening(requesterScreening)
+  }
+  return encodeScreening(combineScreenings(requesterScreening, await provider.screenSanctions(destination)))
+}
 
-  for (let i = 0; i < 5; i++) {
-    const randomIndex = Math.floor(Math.random() * characters.length)
-    const randomChar = characters.charAt(randomIndex)
-    sequence += randomChar
+// Registers & screens each address in turn. A batch holds at most the number of addresses which can be screened within
+// the HTTP query budget, ie: 2 with the Chainalysis Entity Risk API & 5 queries. Addresses which could not be screened
+// once the budget is spent are left unset in the bitmap so that they can be submitted again in another batch.
+async function checkBatch(addresses) {
+  // Deployments with only a Sanctions Screening API key screen batches for sanctions
+  const sanctionsOnly = provider.sanctionsOnly()
+  const queriesPerAddress = sanctionsOnly ? 1 : provider.queriesPerAddress
+  const maxBatchSize = Math.floor(getMaxHttpQueries() / queriesPerAddress)
+  if (addresses.length > maxBatchSize || addresses.some((a) => !a)) {
+    throw screeningError(ErrorCode.InvalidInput, `Invalid batch, expected 1 to ${maxBatchSize} addresses`)
+  }
+  if (!sanctionsOnly) {
+    provider.requireApiKey()
   }
+  let compliant = 0n
+  let screened = 0n
+  for (const [i, batchAddress] of addresses.entries()) {
+    if (getHttpQueriesUsed() + queriesPerAddress > getMaxHttpQueries()) {
+      break
+    }
+    const screening = sanctionsOnly
+      ? await provider.screenSanctions(batchAddress)
+      : await provider.screenAddress(batchAddress)
+    screened |= 1n << BigInt(i)
+    if (screening.reason === Reason.Approved) {
+      compliant |= 1n << BigInt(i)
+    }
+  }
+  return encodeBatchScreening(screened, compliant)
+}
 
-  return sequence
+function isSameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase()
 }
@@ -0,0 +1,193 @@
+import crypto from "crypto"
+import { ErrorCode, httpError, screeningError } from "./errors"
+import { getHttpQueriesUsed, getMaxHttpQueries, isUnavailable, makeHttpRequest, pollUntilReady } from "./http"
+import { Reason, RiskTiers, toRiskTier } from "./encoding"
+import { evaluatePolicy } from "./policy"
+
+// Screening provider backed by the Chainalysis Entity Risk, KYT & Sanctions Screening APIs
+export const Chainalysis = {
+  name: "Chainalysis",
+  apiUrl: "https://api.chainalysis.com",
+  sanctionsApiUrl: "https://public.chainalysis.com",
+  queriesPerAddress: 2,
+  requireApiKey,
+  sanctionsOnly: () => !secrets.apiKey && !!secrets.sanctionsApiKey,
+  screenAddress: screenEntity,
+  screenWithdrawal: screenWithdrawalAttempt,
+  screenSanctions,
+}
+
+// Screens an address with the Chainalysis Entity Risk API, falling back to the Sanctions Screening API if it is unavailable.
+// Addresses must be registered before their risk can be retrieved, isRegistered skips the registration unless the
+// address turns out not to be registered.
+async function screenEntity(address, isRegistered = false) {
+  if (!isRegistered) {
+    const registerResponse = await makeHttpRequest({
+      method: "POST",
+      url: `${Chainalysis.apiUrl}/api/risk/v2/entities`,
+      headers: { Token: secrets.apiKey },
+      data: { address },
+    })
+    if (isUnavailable(registerResponse) && canFallBackToSanctions()) {
+      return screenSanctions(address)
+    }
+    if (registerResponse.status !== 201) {
+      throw httpError(registerResponse, Chainalysis.name)
+    }
+  }
+
+  const riskResponse = await makeHttpRequest({
+    url: `${Chainalysis.apiUrl}/api/risk/v2/entities/${address}`,
+    headers: { Token: secrets.apiKey },
+  })
+  if (isRegistered && riskResponse.error && riskResponse.response?.status === 404) {
+    return screenEntity(address)
+  }
+  if (isUnavailable(riskResponse) && canFallBackToSanctions()) {
+    return screenSanctions(address)
+  }
+  if (riskResponse.status !== 200) {
+    throw httpError(riskResponse, Chainalysis.name)
+  }
+
+  const { risk, cluster, exposures = [], triggers = [] } = riskResponse.data
+  const categories = [cluster?.category, ...exposures.map((e) => e.category), ...triggers.map((t) => t.category)]
+  const reason = evaluatePolicy(risk, categories)
+
+  return { risk, categories, reason }
+}
+
+// Registers a withdrawal attempt to the destination address with Chainalysis KYT, under the KYT user of the requester
+async function screenWithdrawalAttempt(address, destination, network, asset, assetAmount, requestId, timestamp) {
+  // Every DON node derives the same identifiers & timestamp, so they all register the same attempt for one KYT user per
+  // requester and retrying a request does not register a new attempt. The attempt is timestamped with the block
+  // timestamp of the vault request, in seconds, instead of the clock of the node.
+  const userId = "user" + hashIdentifier(address.toLowerCase())
+  const attemptIdentifier = "attempt" + hashIdentifier(`${address.toLowerCase()}:${requestId.toLowerCase()}`)
+  const attemptTimestamp = new Date(Number(timestamp) * 1000).toISOString().replace("Z", "")
+
+  const registrationResponse = await makeHttpRequest({
+    method: "POST",
+    url: `${Chainalysis.apiUrl}/api/kyt/v2/users/${userId}/withdrawal-attempts`,
+    headers: { Token: secrets.apiKey },
+    data: {
+      network: network.name,
+      asset,
+      address: destination,
+      attemptIdentifier,
+      assetAmount,
+      attemptTimestamp,
+    },
+  })
+  if (registrationResponse.status !== 202) {
+    throw httpError(registrationResponse, Chainalysis.name)
+  }
+  const id = registrationResponse.data.externalId
+
+  // KYT processes the attempt asynchronously, its exposures & alerts are only complete once updatedAt is set.
+  // Two queries are kept in reserve to fetch the exposures & alerts.
+  if (!registrationResponse.data.updatedAt) {
+    const attemptResponse = await pollUntilReady(
+      {
+        url: `${Chainalysis.apiUrl}/api/kyt/v2/withdrawal-attempts/${id}`,
+        headers: { Token: secrets.apiKey },
+      },
+      (response) => !!response.data.updatedAt,
+      2
+    )
+    if (!attemptResponse) {
+      return { risk: "Low", categories: [], reason: Reason.Pending }
+    }
+    if (attemptResponse.status !== 200) {
+      throw httpError(attemptResponse, Chainalysis.name)
+    }
+  }
+
+  const exposuresResponse = await pollUntilReady(
+    {
+      url: `${Chainalysis.apiUrl}/api/kyt/v2/withdrawal-attempts/${id}/exposures`,
+      headers: { Token: secrets.apiKey },
+    },
+    (response) => !!response.data.direct,
+    1
+  )
+  if (!exposuresResponse) {
+    return { risk: "Low", categories: [], reason: Reason.Pending }
+  }
+  if (exposuresResponse.status !== 200) {
+    throw httpError(exposuresResponse, Chainalysis.name)
+  }
+  const directExposure = exposuresResponse.data.direct
+
+  const alertsResponse = await pollUntilReady(
+    {
+      url: `${Chainalysis.apiUrl}/api/kyt/v2/withdrawal-attempts/${id}/alerts`,
+      headers: { Token: secrets.apiKey },
+    },
+    (response) => Array.isArray(response.data.alerts)
+  )
+  if (!alertsResponse) {
+    return { risk: "Low", categories: [], reason: Reason.Pending }
+  }
+  if (alertsResponse.status !== 200) {
+    throw httpError(alertsResponse, Chainalysis.name)
+  }
+  const alerts = alertsResponse.data.alerts
+
+  // A withdrawal attempt without findings is Low risk. Any alert or direct exposure raises it to at least Medium,
+  // so the default "Low only" policy rejects every attempt that KYT flags.
+  let risk = "Low"
+  const categories = alerts.map((a) => a.category)
+  if (directExposure.name !== null) {
+    risk = "Medium"
+    categories.push(directExposure.category)
+  }
+  for (const alert of alerts) {
+    const alertRisk = toRiskTier(alert.alertLevel)
+    risk = RiskTiers[Math.max(RiskTiers.indexOf(risk), RiskTiers.indexOf(alertRisk), 1)]
+  }
+  let reason = evaluatePolicy(risk, categories)
+  if (reason === Reason.RiskTierExceeded) {
+    reason = alerts.length > 0 ? Reason.AlertsPresent : Reason.DirectExposure
+  }
+
+  return { risk, categories, reason }
+}
+
+// Binary sanctioned / not sanctioned check against the Chainalysis Sanctions Screening API
+async function screenSanctions(address) {
+  if (!secrets.sanctionsApiKey) {
+    throw screeningError(
+      ErrorCode.AuthFailure,
+      "CHAINALYSIS_SANCTIONS_API_KEY environment variable not set for Chainalysis Sanctions Screening API"
+    )
+  }
+
+  const sanctionsResponse = await makeHttpRequest({
+    url: `${Chainalysis.sanctionsApiUrl}/api/v1/address/${address}`,
+    headers: { "X-API-Key": secrets.sanctionsApiKey, Accept: "application/json" },
+  })
+  if (sanctionsResponse.status !== 200) {
+    throw httpError(sanctionsResponse, Chainalysis.name)
+  }
+
+  if (sanctionsResponse.data.identifications.length > 0) {
+    return { risk: "Severe", categories: ["sanctions"], reason: Reason.Sanctioned }
+  }
+  return { risk: "Low", categories: [], reason: Reason.Approved }
+}
+
+function requireApiKey() {
+  if (!secrets.apiKey) {
+    throw screeningError(ErrorCode.AuthFailure, "CHAINALYSIS_API_KEY environment variable not set for Chainalysis API")
+  }
+}
+
+// Falling back to the Sanctions Screening API requires its API key & an HTTP query left in the budget
+function canFallBackToSanctions() {
+  return !!secrets.sanctionsApiKey && getHttpQueriesUsed() < getMaxHttpQueries()
+}
+
+function hashIdentifier(value) {
+  return crypto.createHash("sha256").update(value).digest("hex").slice(0, 32)
+}
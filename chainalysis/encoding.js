@@ -0,0 +1,59 @@
+import { ErrorCode, screeningError } from "./errors"
+
+// Risk tiers reported by Chainalysis, ordered from least to most risky
+export const RiskTiers = ["Low", "Medium", "High", "Severe"]
+
+// The screening result is returned as a packed uint256 (see decodeScreeningResult.js in FunctionsSandboxLibrary):
+// bits 0-7 decision, bits 8-15 risk tier, bits 16-31 reason code, bits 32-63 category bitmask
+export const Reason = {
+  Approved: 0,
+  RiskTierExceeded: 1,
+  CategoryNotAllowed: 2,
+  Sanctioned: 3,
+  AlertsPresent: 4,
+  DirectExposure: 5,
+  Pending: 6,
+}
+export const ScreeningCategories = [
+  "sanctions",
+  "terrorist financing",
+  "child abuse material",
+  "darknet market",
+  "stolen funds",
+  "scam",
+  "ransomware",
+  "mixing",
+  "fraud shop",
+  "illicit actor-org",
+  "malware",
+  "high risk jurisdiction",
+  "high risk exchange",
+  "gambling",
+  "special measures",
+]
+const OTHER_CATEGORY_BIT = 31
+
+export function toRiskTier(value) {
+  const tier = RiskTiers.find((t) => t.toLowerCase() === `${value}`.toLowerCase())
+  if (!tier) {
+    throw screeningError(ErrorCode.InvalidInput, `Invalid risk tier ${value}`)
+  }
+  return tier
+}
+
+export function encodeScreening({ risk, categories, reason }) {
+  let categoryMask = 0n
+  for (const category of categories.filter(Boolean)) {
+    const bit = ScreeningCategories.indexOf(category.toLowerCase())
+    categoryMask |= 1n << BigInt(bit === -1 ? OTHER_CATEGORY_BIT : bit)
+  }
+  const decision = reason === Reason.Approved ? 1n : 0n
+  const tier = BigInt(RiskTiers.indexOf(toRiskTier(risk)))
+  return Functions.encodeUint256(decision | (tier << 8n) | (BigInt(reason) << 16n) | (categoryMask << 32n))
+}
+
+// Batch requests return a per-address bitmap as a uint256: bit N of the low 128 bits is set when the Nth address is
+// compliant, and bit N of the high 128 bits is set when the Nth address was screened within the HTTP query budget
+export function encodeBatchScreening(screened, compliant) {
+  return Functions.encodeUint256((screened << 128n) | compliant)
+}
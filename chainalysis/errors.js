@@ -0,0 +1,33 @@
+// Errors are thrown as "E<code>:<message>" so that API failures can be told apart from non-compliant users,
+// see decodeScreeningResult.js in FunctionsSandboxLibrary for how the error codes are decoded
+export const ErrorCode = {
+  AuthFailure: 1,
+  RateLimited: 2,
+  UpstreamError: 3,
+  InvalidInput: 4,
+  Timeout: 5,
+}
+
+export function screeningError(code, message) {
+  return Error(`E${code}:${message}`)
+}
+
+// Classifies a failed or unexpected HTTP response of the API of a screening provider into one of the error codes
+export function httpError(response, providerName) {
+  const status = response.error ? response.response?.status : response.status
+  const statusText = response.error ? response.response?.statusText : response.statusText
+  const message = `${providerName} API ${status ?? response.code ?? "request failed"} ${statusText ?? ""}`.trim()
+  if (response.code === "ECONNABORTED" || response.code === "ETIMEDOUT") {
+    return screeningError(ErrorCode.Timeout, message)
+  }
+  if (status === 401 || status === 403) {
+    return screeningError(ErrorCode.AuthFailure, message)
+  }
+  if (status === 429) {
+    return screeningError(ErrorCode.RateLimited, message)
+  }
+  if (status >= 400 && status < 500) {
+    return screeningError(ErrorCode.InvalidInput, message)
+  }
+  return screeningError(ErrorCode.UpstreamError, message)
+}
@@ -0,0 +1,62 @@
+// Default DON limit on the execution time of a request. Polling for KYT results stays within this budget & the HTTP
+// query limit so that the request reports pending results instead of being terminated.
+const POLL_TIME_BUDGET_MS = 7000
+const POLL_INITIAL_DELAY_MS = 500
+let httpQueriesUsed = 0
+
+export function getHttpQueriesUsed() {
+  return httpQueriesUsed
+}
+
+// The DON limit on the number of HTTP queries of a request, which the Functions module exposes
+export function getMaxHttpQueries() {
+  return Functions.maxHttpQueries
+}
+
+export function makeHttpRequest(options) {
+  httpQueriesUsed++
+  return Functions.makeHttpRequest(options)
+}
+
+// Polls until isReady returns true for a successful response, backing off exponentially between queries and honouring
+// the Retry-After header of 429 responses. Any other error response is returned to the caller. Returns null if the
+// result is not ready once the time budget is spent or only reservedQueries remain of the HTTP query budget.
+export async function pollUntilReady(options, isReady, reservedQueries = 0) {
+  // determinism-ignore time -- nodes which run out of the time budget return the Pending reason
+  const deadline = Date.now() + POLL_TIME_BUDGET_MS
+  let delay = POLL_INITIAL_DELAY_MS
+  while (httpQueriesUsed < getMaxHttpQueries() - reservedQueries) {
+    const response = await makeHttpRequest(options)
+    const status = response.error ? response.response?.status : response.status
+    if (!response.error && isReady(response)) {
+      return response
+    }
+    if (response.error && status !== 404 && status !== 429) {
+      return response
+    }
+    const retryAfter = status === 429 ? parseRetryAfter(response.response.headers["retry-after"]) : undefined
+    const wait = retryAfter ?? delay
+    // determinism-ignore time -- see the deadline above
+    if (httpQueriesUsed >= getMaxHttpQueries() - reservedQueries || Date.now() + wait > deadline) {
+      return null
+    }
+    await new Promise((resolve) => setTimeout(resolve, wait))
+    delay *= 2
+  }
+  return null
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) {
+    return undefined
+  }
+  // determinism-ignore time -- only changes how long a node waits before polling again
+  const ms = /^[0-9]+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now()
+  return Number.isNaN(ms) ? undefined : Math.max(ms, 0)
+}
+
+// An API is unavailable if it could not be reached or responded with a server error
+export function isUnavailable(response) {
+  return response.error && (!response.response || response.response.status >= 500)
+}
@@ -0,0 +1,58 @@
+import { ErrorCode, screeningError } from "./errors"
+
+// Networks keyed by chain ID with their Chainalysis KYT & TRM Labs names, along with the decimals of each asset which can
+// be screened on the network
+const Ethereum = {
+  name: "Ethereum",
+  trmChain: "ethereum",
+  nativeAsset: "ETH",
+  assets: { ETH: 18, USDC: 6, USDT: 6, DAI: 18, LINK: 18, WBTC: 8 },
+}
+const Polygon = {
+  name: "Polygon",
+  trmChain: "polygon",
+  nativeAsset: "MATIC",
+  assets: { MATIC: 18, USDC: 6, USDT: 6, DAI: 18, LINK: 18, WETH: 18 },
+}
+const Avalanche = {
+  name: "Avalanche",
+  trmChain: "avalanche_c_chain",
+  nativeAsset: "AVAX",
+  assets: { AVAX: 18, USDC: 6, USDT: 6, LINK: 18, "WETH.e": 18 },
+}
+const SupportedNetworks = {
+  1: Ethereum,
+  11155111: Ethereum,
+  31337: Ethereum,
+  137: Polygon,
+  80001: Polygon,
+  43114: Avalanche,
+  43113: Avalanche,
+}
+
+// Chain ID of the network the vault is deployed on (args[4]), defaulting to Ethereum
+export const chainId = args[4] || "1"
+
+const MaxUint256 = 2n ** 256n - 1n
+
+export function requireNetwork(chainId) {
+  const network = SupportedNetworks[chainId]
+  if (!network) {
+    throw screeningError(ErrorCode.InvalidInput, `Unsupported network with chain ID ${chainId}`)
+  }
+  return network
+}
+
+// Converts an integer amount in the asset's smallest unit (ie: wei) into an exact decimal string (ie: "1.5")
+export function toDecimalString(amount, decimals) {
+  if (typeof amount !== "string" || !/^[0-9]+$/.test(amount)) {
+    throw screeningError(ErrorCode.InvalidInput, `Invalid amount ${amount}, expected a non-negative integer string`)
+  }
+  const value = BigInt(amount)
+  if (value > MaxUint256) {
+    throw screeningError(ErrorCode.InvalidInput, `Invalid amount ${amount}, exceeds the maximum uint256 value`)
+  }
+  const unit = 10n ** BigInt(decimals)
+  const fraction = (value % unit).toString().padStart(decimals, "0").replace(/0+$/, "")
+  return fraction ? `${value / unit}.${fraction}` : `${value / unit}`
+}
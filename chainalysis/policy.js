@@ -0,0 +1,60 @@
+import { ErrorCode, screeningError } from "./errors"
+import { Reason, RiskTiers, toRiskTier } from "./encoding"
+
+// The risk policy can be passed as an arg (args[3]) or as a secret, the arg takes precedence
+const riskPolicy = parseRiskPolicy(args[3] || secrets.riskPolicy)
+
+// Parses a risk policy, either a bare tier name such as "Medium" or a JSON object such as
+// {"maxRisk":"Medium","categories":{"sanctions":"None"}}. Category overrides lower the highest
+// accepted tier whenever the address has exposure to that category, "None" rejects any exposure.
+// Without a policy only Low risk is accepted.
+function parseRiskPolicy(policy) {
+  if (!policy) {
+    return { maxRisk: "Low", categories: {} }
+  }
+  let parsed
+  try {
+    parsed = policy.trim().startsWith("{") ? JSON.parse(policy) : { maxRisk: policy.trim() }
+  } catch {
+    throw screeningError(ErrorCode.InvalidInput, "Invalid risk policy JSON")
+  }
+  const maxRisk = toRiskTier(parsed.maxRisk ?? "Low")
+  const categories = {}
+  for (const [category, tier] of Object.entries(parsed.categories ?? {})) {
+    categories[category.toLowerCase()] = tier === "None" ? "None" : toRiskTier(tier)
+  }
+  return { maxRisk, categories }
+}
+
+// Returns Reason.Approved if the risk tier & categories are allowed by the risk policy, otherwise the rejection reason
+export function evaluatePolicy(risk, categories) {
+  const tier = RiskTiers.indexOf(toRiskTier(risk))
+  const isCategoryBlocked = categories.some((category) => {
+    const override = category && riskPolicy.categories[category.toLowerCase()]
+    return override && (override === "None" || RiskTiers.indexOf(override) < tier)
+  })
+  if (!isCategoryBlocked && tier <= RiskTiers.indexOf(riskPolicy.maxRisk)) {
+    return Reason.Approved
+  }
+  if (categories.some((category) => category?.toLowerCase() === "sanctions")) {
+    return Reason.Sanctioned
+  }
+  return isCategoryBlocked ? Reason.CategoryNotAllowed : Reason.RiskTierExceeded
+}
+
+// Combines the screening of an approved requester with the screening of the destination, keeping the destination's
+// reason along with the highest risk tier & the categories of both addresses
+export function combineScreenings(requesterScreening, destinationScreening) {
+  if (!requesterScreening) {
+    return destinationScreening
+  }
+  const tier = Math.max(
+    RiskTiers.indexOf(toRiskTier(requesterScreening.risk)),
+    RiskTiers.indexOf(toRiskTier(destinationScreening.risk))
+  )
+  return {
+    risk: RiskTiers[tier],
+    categories: [...requesterScreening.categories, ...destinationScreening.categories],
+    reason: destinationScreening.reason,
+  }
+}
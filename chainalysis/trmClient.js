@@ -0,0 +1,73 @@
+import { ErrorCode, httpError, screeningError } from "./errors"
+import { makeHttpRequest } from "./http"
+import { Reason, RiskTiers } from "./encoding"
+import { chainId, requireNetwork } from "./networks"
+import { evaluatePolicy } from "./policy"
+
+// TRM Labs category names which differ from the names of the screening categories
+const TrmCategories = {
+  "child sexual abuse material": "child abuse material",
+  mixer: "mixing",
+}
+
+// Screening provider backed by the TRM Labs Address Screening API
+export const TrmLabs = {
+  name: "TRM Labs",
+  apiUrl: "https://api.trmlabs.com",
+  queriesPerAddress: 1,
+  requireApiKey: requireTrmApiKey,
+  sanctionsOnly: () => false,
+  screenAddress: (address) => screenTrmAddress(address, requireNetwork(chainId)),
+  screenWithdrawal: (_, destination, network) => screenTrmAddress(destination, network),
+  screenSanctions: screenTrmSanctions,
+}
+
+// Screens an address with the TRM Labs Address Screening API, the risk is the highest risk level of the address's
+// risk indicators & entities
+async function screenTrmAddress(address, network) {
+  const screeningResponse = await makeHttpRequest({
+    method: "POST",
+    url: `${TrmLabs.apiUrl}/public/v2/screening/addresses`,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${secrets.trmApiKey}:${secrets.trmApiKey}`).toString("base64")}`,
+    },
+    data: [{ address, chain: network.trmChain }],
+  })
+  if (screeningResponse.status !== 200 && screeningResponse.status !== 201) {
+    throw httpError(screeningResponse, TrmLabs.name)
+  }
+
+  const [{ addressRiskIndicators = [], entities = [] } = {}] = screeningResponse.data
+  const levels = [
+    ...addressRiskIndicators.map((i) => i.categoryRiskScoreLevelLabel),
+    ...entities.map((e) => e.riskScoreLevelLabel),
+  ]
+  // TRM Labs reports addresses it has no information on as Unknown, which is treated as Low risk
+  const tier = Math.max(
+    0,
+    ...levels.map((level) => RiskTiers.findIndex((t) => t.toLowerCase() === `${level}`.toLowerCase()))
+  )
+  const risk = RiskTiers[tier]
+  const categories = [...addressRiskIndicators.map((i) => i.category), ...entities.map((e) => e.category)]
+    .filter(Boolean)
+    .map((category) => TrmCategories[category.toLowerCase()] ?? category)
+  const reason = evaluatePolicy(risk, categories)
+
+  return { risk, categories, reason }
+}
+
+// TRM Labs reports sanctions as a risk category, so the sanctions check is based on the address screening
+async function screenTrmSanctions(address) {
+  requireTrmApiKey()
+  const { categories } = await screenTrmAddress(address, requireNetwork(chainId))
+  if (categories.some((category) => category.toLowerCase() === "sanctions")) {
+    return { risk: "Severe", categories: ["sanctions"], reason: Reason.Sanctioned }
+  }
+  return { risk: "Low", categories: [], reason: Reason.Approved }
+}
+
+function requireTrmApiKey() {
+  if (!secrets.trmApiKey) {
+    throw screeningError(ErrorCode.AuthFailure, "TRM_API_KEY environment variable not set for TRM Labs API")
+  }
+}
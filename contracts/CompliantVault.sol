@@ -16,12 +16,14 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
 
   string private constant DEPOSIT_ACTION_ID = "0";
   string private constant WITHDRAWAL_ACTION_ID = "1";
+  string private constant SANCTIONS_ACTION_ID = "2";
 
   mapping(address => uint256) private s_balances;
   mapping(bytes32 => PendingRequest) private s_pending;
 
   struct PendingRequest {
     address requester;
+    address recipient;
     uint256 amount;
     RequestType requestType;
   }
@@ -31,21 +33,35 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
     Withdrawal
   }
 
+  enum ScreeningMode {
+    // Deposits are screened with the Entity Risk API and withdrawals with KYT
+    Full,
+    // Deposits and withdrawals are screened with the Sanctions Screening API only
+    Sanctions
+  }
+
   // CHAINLINK FUNCTIONS
 
   string private s_source;
+  Functions.Location private s_codeLocation;
+  bytes32 private s_sourceHash;
   bytes private s_secrets;
   uint64 private s_subscriptionId;
   uint32 private s_gasLimit;
+  string private s_riskPolicy;
+  string private s_asset;
+  uint256 private s_requestNonce;
+  ScreeningMode private s_screeningMode;
+  string private s_provider;
 
   // EVENTS
 
   event DepositRequest(bytes32 indexed requestId, address requester, uint256 amount);
-  event WithdrawalRequest(bytes32 indexed requestId, address requester, uint256 amount);
+  event WithdrawalRequest(bytes32 indexed requestId, address requester, address recipient, uint256 amount);
   event DepositRequestFulfilled(bytes32 indexed requestId, address requester, uint256 amount);
-  event WithdrawalRequestFulfilled(bytes32 indexed requestId, address requester, uint256 amount);
-  event DepositRequestCancelled(bytes32 indexed requestId, address requester, uint256 amount);
-  event WithdrawalRequestCancelled(bytes32 indexed requestId, address requester, uint256 amount);
+  event WithdrawalRequestFulfilled(bytes32 indexed requestId, address requester, address recipient, uint256 amount);
+  event DepositRequestCancelled(bytes32 indexed requestId, address requester, uint256 amount, uint16 reason);
+  event WithdrawalRequestCancelled(bytes32 indexed requestId, address requester, uint256 amount, uint16 reason);
   event RequestFailed(bytes message);
   event UnknownRequestType();
   event NoPendingRequest();
@@ -54,6 +70,7 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
 
   error ZeroAmount();
   error InsufficientBalance();
+  error ZeroAddress();
 
   // CONSTRUCTOR
 
@@ -62,21 +79,30 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
    *
    * @param oracle The FunctionsOracle contract
    * @param subscriptionId The ID of the Functions billing subscription
-   * @param source JavaScript source code
+   * @param source JavaScript source code, or its URL when codeLocation is Remote
+   * @param codeLocation Location of the source code
+   * @param sourceHash SHA-256 hash of the source code at the URL when codeLocation is Remote, zero otherwise
    * @param secrets Encrypted secrets
    * @param gasLimit Maximum amount of gas used to call back the client contract
+   * @param asset Symbol of the native asset held by the vault on the chain it is deployed on (ie: ETH)
    */
   constructor(
     address oracle,
     uint64 subscriptionId,
     string memory source,
+    Functions.Location codeLocation,
+    bytes32 sourceHash,
     bytes memory secrets,
-    uint32 gasLimit
+    uint32 gasLimit,
+    string memory asset
   ) FunctionsClient(oracle) ConfirmedOwner(msg.sender) {
     s_subscriptionId = subscriptionId;
     s_source = source;
+    s_codeLocation = codeLocation;
+    s_sourceHash = sourceHash;
     s_secrets = secrets;
     s_gasLimit = gasLimit;
+    s_asset = asset;
   }
 
   // EXTERNAL
@@ -90,12 +116,11 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
   function requestDeposit() external payable {
     if (msg.value == 0) revert ZeroAmount();
 
-    string[] memory args = new string[](2);
-    args[0] = DEPOSIT_ACTION_ID;
-    args[1] = Strings.toHexString(msg.sender);
-    bytes32 requestId = executeRequest(s_source, s_secrets, args, s_subscriptionId, s_gasLimit);
+    string memory actionId = s_screeningMode == ScreeningMode.Sanctions ? SANCTIONS_ACTION_ID : DEPOSIT_ACTION_ID;
+    string[] memory args = buildArgs(actionId, msg.sender, msg.sender, msg.value);
+    bytes32 requestId = executeRequest(s_codeLocation, s_source, s_secrets, args, s_subscriptionId, s_gasLimit);
 
-    s_pending[requestId] = PendingRequest(msg.sender, msg.value, RequestType.Deposit);
+    s_pending[requestId] = PendingRequest(msg.sender, msg.sender, msg.value, RequestType.Deposit);
     emit DepositRequest(requestId, msg.sender, msg.value);
   }
 
@@ -108,17 +133,21 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
    * @param amount The amount of ETH to withdraw
    */
   function requestWithdrawal(uint256 amount) external {
-    if (amount == 0) revert ZeroAmount();
-    if (amount > s_balances[msg.sender]) revert InsufficientBalance();
-
-    string[] memory args = new string[](3);
-    args[0] = WITHDRAWAL_ACTION_ID;
-    args[1] = Strings.toHexString(msg.sender);
-    args[2] = Strings.toString(amount);
-    bytes32 requestId = executeRequest(s_source, s_secrets, args, s_subscriptionId, s_gasLimit);
+    initiateWithdrawal(amount, msg.sender);
+  }
 
-    s_pending[requestId] = PendingRequest(msg.sender, amount, RequestType.Withdrawal);
-    emit WithdrawalRequest(requestId, msg.sender, amount);
+  /**
+   * @notice Request withdrawal attempt checking from Chainalysis KYT and withdraw ETH from the vault to another address
+   *
+   * @dev Both the user and the recipient are screened. The amount withdrawn will be transferred to the recipient
+   * once the request is fulfilled. If either address screening fails, the amount will remain in the vault.
+   *
+   * @param amount The amount of ETH to withdraw
+   * @param to The address receiving the ETH withdrawn
+   */
+  function requestWithdrawalTo(uint256 amount, address to) external {
+    if (to == address(0)) revert ZeroAddress();
+    initiateWithdrawal(amount, to);
   }
 
   /**
@@ -128,8 +157,44 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
     return s_balances[user];
   }
 
+  /**
+   * @notice Get the source code sent with every request
+   *
+   * @dev The DON fetches remote source code from its URL without checking its hash. The hash records the content the
+   * owner submitted, so that anyone can check that the URL still serves it.
+   *
+   * @return source JavaScript source code, or its URL when codeLocation is Remote
+   * @return codeLocation Location of the source code
+   * @return sourceHash SHA-256 hash of the source code at the URL when codeLocation is Remote, zero otherwise
+   */
+  function getSource()
+    external
+    view
+    returns (string memory source, Functions.Location codeLocation, bytes32 sourceHash)
+  {
+    return (s_source, s_codeLocation, s_sourceHash);
+  }
+
   // INTERNAL
 
+  /**
+   * @notice Send a withdrawal request for the sender's balance
+   *
+   * @param amount The amount of ETH to withdraw
+   * @param recipient The address receiving the ETH withdrawn
+   */
+  function initiateWithdrawal(uint256 amount, address recipient) internal {
+    if (amount == 0) revert ZeroAmount();
+    if (amount > s_balances[msg.sender]) revert InsufficientBalance();
+
+    string memory actionId = s_screeningMode == ScreeningMode.Sanctions ? SANCTIONS_ACTION_ID : WITHDRAWAL_ACTION_ID;
+    string[] memory args = buildArgs(actionId, msg.sender, recipient, amount);
+    bytes32 requestId = executeRequest(s_codeLocation, s_source, s_secrets, args, s_subscriptionId, s_gasLimit);
+
+    s_pending[requestId] = PendingRequest(msg.sender, recipient, amount, RequestType.Withdrawal);
+    emit WithdrawalRequest(requestId, msg.sender, recipient, amount);
+  }
+
   /**
    * @notice Process a deposit request once it has been fulfilled
    *
@@ -144,17 +209,55 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
    * @notice Process a withdrawal request once it has been fulfilled
    *
    * @param user The user who requested the withdrawal
+   * @param recipient The address receiving the ETH withdrawn
    * @param amount The amount of ETH to withdraw
    */
-  function executeWithdraw(address user, uint256 amount) internal {
+  function executeWithdraw(address user, address recipient, uint256 amount) internal {
     s_balances[user] -= amount;
-    payable(user).transfer(amount);
+    payable(recipient).transfer(amount);
+  }
+
+  /**
+   * @notice Build the args passed to the Functions source code
+   *
+   * @dev Deposits and withdrawals share the same args layout so that the risk policy is always found at args[3].
+   * The chain ID and asset let the source code screen the withdrawal on the network the vault is deployed on.
+   * The vault request ID is unique per request and lets the source code derive deterministic KYT identifiers.
+   * The recipient is the withdrawal destination registered with KYT, and is screened along with the user if they differ.
+   * The source code defaults to Chainalysis when the screening provider is empty.
+   * The block timestamp is the time of the KYT withdrawal attempt, so that every DON node registers the same attempt.
+   *
+   * @param actionId The request type understood by the source code
+   * @param user The address to screen
+   * @param recipient The address receiving the ETH, which is the user for deposits
+   * @param amount The amount of ETH to deposit or withdraw
+   * @return args List of arguments accessible from within the source code
+   */
+  function buildArgs(
+    string memory actionId,
+    address user,
+    address recipient,
+    uint256 amount
+  ) internal returns (string[] memory args) {
+    bytes32 vaultRequestId = keccak256(abi.encode(block.chainid, address(this), ++s_requestNonce));
+    args = new string[](10);
+    args[0] = actionId;
+    args[1] = Strings.toHexString(user);
+    args[2] = Strings.toString(amount);
+    args[3] = s_riskPolicy;
+    args[4] = Strings.toString(block.chainid);
+    args[5] = s_asset;
+    args[6] = Strings.toHexString(uint256(vaultRequestId), 32);
+    args[7] = Strings.toHexString(recipient);
+    args[8] = s_provider;
+    args[9] = Strings.toString(block.timestamp);
   }
 
   /**
    * @notice Send a request to Chainlink Functions
    *
-   * @param source JavaScript source code
+   * @param codeLocation Location of the source code
+   * @param source JavaScript source code, or its URL when codeLocation is Remote
    * @param secrets Encrypted secrets payload
    * @param args List of arguments accessible from within the source code
    * @param subscriptionId Funtions billing subscription ID
@@ -162,6 +265,7 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
    * @return requestId Functions request ID
    */
   function executeRequest(
+    Functions.Location codeLocation,
     string memory source,
     bytes memory secrets,
     string[] memory args,
@@ -169,7 +273,7 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
     uint32 gasLimit
   ) internal returns (bytes32 requestId) {
     Functions.Request memory req;
-    req.initializeRequest(Functions.Location.Inline, Functions.CodeLanguage.JavaScript, source);
+    req.initializeRequest(codeLocation, Functions.CodeLanguage.JavaScript, source);
     if (secrets.length > 0) {
       req.addRemoteSecrets(secrets);
     }
@@ -184,6 +288,9 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
    * @param response Aggregated response from the user code
    * @param err Aggregated error from the user code or from the execution pipeline
    * Either response or error parameter will be set, but never both
+   *
+   * @dev The response is a packed screening result where bits 0-7 hold the decision (1 if approved), bits 8-15
+   * the risk tier, bits 16-31 the reason code and bits 32-63 the category bitmask
    */
   function fulfillRequest(bytes32 requestId, bytes memory response, bytes memory err) internal override {
     PendingRequest memory request = s_pending[requestId];
@@ -196,20 +303,23 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
       emit RequestFailed(err);
       return;
     }
+    uint256 result = uint256(bytes32(response));
+    bool approved = uint8(result) == 1;
+    uint16 reason = uint16(result >> 16);
     if (request.requestType == RequestType.Deposit) {
-      if (uint256(bytes32(response)) == 1) {
+      if (approved) {
         executeDeposit(request.requester, request.amount);
         emit DepositRequestFulfilled(requestId, request.requester, request.amount);
       } else {
         payable(request.requester).transfer(request.amount);
-        emit DepositRequestCancelled(requestId, request.requester, request.amount);
+        emit DepositRequestCancelled(requestId, request.requester, request.amount, reason);
       }
     } else if (request.requestType == RequestType.Withdrawal) {
-      if (uint256(bytes32(response)) == 1) {
-        executeWithdraw(request.requester, request.amount);
-        emit WithdrawalRequestFulfilled(requestId, request.requester, request.amount);
+      if (approved) {
+        executeWithdraw(request.requester, request.recipient, request.amount);
+        emit WithdrawalRequestFulfilled(requestId, request.requester, request.recipient, request.amount);
       } else {
-        emit WithdrawalRequestCancelled(requestId, request.requester, request.amount);
+        emit WithdrawalRequestCancelled(requestId, request.requester, request.amount, reason);
       }
     } else {
       emit UnknownRequestType();
@@ -239,10 +349,18 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
   /**
    * @notice Allows the Functions source code to be updated
    *
-   * @param source New source code
+   * @param source New source code, or its URL when codeLocation is Remote
+   * @param codeLocation Location of the new source code
+   * @param sourceHash SHA-256 hash of the new source code when codeLocation is Remote, zero otherwise
    */
-  function updateSource(string calldata source) external onlyOwner {
+  function updateSource(
+    string calldata source,
+    Functions.Location codeLocation,
+    bytes32 sourceHash
+  ) external onlyOwner {
     s_source = source;
+    s_codeLocation = codeLocation;
+    s_sourceHash = sourceHash;
   }
 
   /**
@@ -253,4 +371,37 @@ contract CompliantVault is FunctionsClient, ConfirmedOwner {
   function updateSecrets(bytes calldata secrets) external onlyOwner {
     s_secrets = secrets;
   }
+
+  /**
+   * @notice Allows the risk policy applied to deposits and withdrawals to be updated
+   *
+   * @dev An empty policy falls back to the policy in the encrypted secrets, or to accepting Low risk only
+   *
+   * @param riskPolicy New risk policy, either a risk tier such as "Medium" or a JSON policy object
+   */
+  function updateRiskPolicy(string calldata riskPolicy) external onlyOwner {
+    s_riskPolicy = riskPolicy;
+  }
+
+  /**
+   * @notice Allows the screening mode to be updated
+   *
+   * @dev Deployments with only a Chainalysis Sanctions Screening API key must use ScreeningMode.Sanctions
+   *
+   * @param screeningMode New screening mode
+   */
+  function updateScreeningMode(ScreeningMode screeningMode) external onlyOwner {
+    s_screeningMode = screeningMode;
+  }
+
+  /**
+   * @notice Allows the screening provider to be updated
+   *
+   * @dev The vault handles the screening result the same way whichever provider is used
+   *
+   * @param provider New screening provider understood by the source code, either "chainalysis" or "trm"
+   */
+  function updateProvider(string calldata provider) external onlyOwner {
+    s_provider = provider;
+  }
 }
@@ -1,14 +1,15 @@
 const { networks } = require("../../networks")
 const fs = require("fs")
 const { generateOffchainSecrets } = require("../utils/generateOffchainSecrets")
-const path = require("path")
 const process = require("process")
+const utils = require("../utils")
 
 task(
   "functions-build-offchain-secrets",
   "Builds an off-chain secrets object that can be uploaded and referenced via URL"
 )
   .addOptionalParam("output", "Output file name (defaults to offchain-secrets.json)")
+  .addOptionalParam("profile", "Name of the request profile of the config file to use", undefined, types.string)
   .addOptionalParam(
     "configpath",
     "Path to Functions request config file",
@@ -20,9 +21,7 @@ task(
       throw Error("This command cannot be used on a local hardhat chain.")
     }
 
-    const requestConfig = require(path.isAbsolute(taskArgs.configpath)
-      ? taskArgs.configpath
-      : path.join(process.cwd(), taskArgs.configpath))
+    const requestConfig = utils.loadRequestConfig(taskArgs)
 
     console.log(
       `Using public keys from FunctionsOracle contract ${networks[network.name]["functionsOracleProxy"]} on network ${
@@ -1,11 +1,19 @@
-const { simulateRequest, buildRequest, getRequestConfig } = require("../../FunctionsSandboxLibrary")
+const {
+  simulateRequest,
+  buildRequest,
+  getRequestConfig,
+  lintSource,
+  lintBundledSource,
+  getLintLog,
+  fetchSource,
+  getSourceSizeLog,
+} = require("../../FunctionsSandboxLibrary")
 const { generateOffchainSecrets } = require("../utils/generateOffchainSecrets")
 const { networks } = require("../../networks")
 const utils = require("../utils")
 const axios = require("axios")
 const fs = require("fs")
 const { createGist } = require("../utils/github")
-const path = require("path")
 const process = require("process")
 
 task("functions-build-request", "Creates a JSON file with Functions request parameters")
@@ -16,6 +24,7 @@ task("functions-build-request", "Creates a JSON file with Functions request para
     true,
     types.boolean
   )
+  .addOptionalParam("profile", "Name of the request profile of the config file to use", undefined, types.string)
   .addOptionalParam(
     "configpath",
     "Path to Functions request config file",
@@ -29,9 +38,7 @@ task("functions-build-request", "Creates a JSON file with Functions request para
       )
     }
 
-    const unvalidatedRequestConfig = require(path.isAbsolute(taskArgs.configpath)
-      ? taskArgs.configpath
-      : path.join(process.cwd(), taskArgs.configpath))
+    const unvalidatedRequestConfig = utils.loadRequestConfig(taskArgs)
     const requestConfig = getRequestConfig(unvalidatedRequestConfig)
 
     const request = await generateRequest(requestConfig, taskArgs)
@@ -82,6 +89,23 @@ const verifyOffchainSecrets = async (secretsURLs, nodeAddresses) => {
 }
 
 const generateRequest = async (requestConfig, taskArgs) => {
+  // Nondeterministic source code can prevent the DON nodes from agreeing on a response, confirm the user wants to
+  // submit it unless every finding was suppressed
+  const lintFindings = requestConfig.sourceMap
+    ? lintBundledSource(requestConfig.sourceMap)
+    : lintSource(await fetchSource(requestConfig))
+  if (lintFindings.length > 0) {
+    console.log(`\n${getLintLog(lintFindings)}`)
+  }
+  if (lintFindings.some((finding) => !finding.suppressed)) {
+    await utils.prompt("The JavaScript source code for the request contains nondeterministic constructs.")
+  }
+  const sourceSize = getSourceSizeLog(requestConfig, requestConfig.donLimits)
+  console.log(`\n${sourceSize.log}`)
+  if (sourceSize.exceeded) {
+    await utils.prompt("The source code for the request exceeds the maxRequestBytes DON limit.")
+  }
+
   if (taskArgs.simulate !== false) {
     console.log("Simulating Functions request locally...")
 
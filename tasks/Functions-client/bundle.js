@@ -0,0 +1,20 @@
+const { bundleSource, getSourceSizeLog, getSourceHash } = require("../../FunctionsSandboxLibrary")
+const fs = require("fs")
+const path = require("path")
+
+task(
+  "functions-bundle",
+  "Bundles the request source code & the modules it imports into a single file which can be hosted as remote source code"
+)
+  .addOptionalParam("entrypoint", "Path to the entry point module of the source code", "chainalysis.js", types.string)
+  .addOptionalParam("output", "Output file name (defaults to <entrypoint>.bundle.js)", undefined, types.string)
+  .setAction(async (taskArgs) => {
+    const { source, sourceMap, sourceModules } = bundleSource(taskArgs.entrypoint)
+    const output = taskArgs.output ?? `${path.basename(taskArgs.entrypoint, ".js")}.bundle.js`
+
+    fs.writeFileSync(output, source)
+    fs.writeFileSync(`${output}.map`, JSON.stringify(sourceMap))
+    console.log(`\nWrote the bundled source code to ${output} & its source map to ${output}.map`)
+    console.log(`\n${getSourceSizeLog({ codeLocation: 0, source, sourceModules }).log}`)
+    console.log(`SHA-256 hash, the sourceHash of remote source code: ${getSourceHash(source)}`)
+  })
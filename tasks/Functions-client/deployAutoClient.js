@@ -19,6 +19,7 @@ task("functions-deploy-auto-client", "Deploys the AutomatedFunctionsConsumer con
     true,
     types.boolean
   )
+  .addOptionalParam("profile", "Name of the request profile of the config file to use", undefined, types.string)
   .addOptionalParam(
     "configpath",
     "Path to Functions request config file",
@@ -3,8 +3,7 @@ const { networks } = require("../../networks")
 const { addClientConsumerToSubscription } = require("../Functions-billing/add")
 const { getRequestConfig } = require("../../FunctionsSandboxLibrary")
 const { generateRequest } = require("./buildRequestJSON")
-const path = require("path")
-const process = require("process")
+const utils = require("../utils")
 
 task("functions-deploy-vault", "Deploys the CompliantVault contract")
   .addParam("subid", "Billing subscription ID used to pay for Functions requests")
@@ -21,6 +20,7 @@ task("functions-deploy-vault", "Deploys the CompliantVault contract")
     true,
     types.boolean
   )
+  .addOptionalParam("profile", "Name of the request profile of the config file to use", undefined, types.string)
   .addOptionalParam(
     "configpath",
     "Path to Functions request config file",
@@ -43,9 +43,7 @@ task("functions-deploy-vault", "Deploys the CompliantVault contract")
     console.log("\n__Compiling Contracts__")
     await run("compile")
 
-    const unvalidatedRequestConfig = require(path.isAbsolute(taskArgs.configpath)
-      ? taskArgs.configpath
-      : path.join(process.cwd(), taskArgs.configpath))
+    const unvalidatedRequestConfig = utils.loadRequestConfig(taskArgs)
     const requestConfig = getRequestConfig(unvalidatedRequestConfig)
     const request = await generateRequest(requestConfig, taskArgs)
 
@@ -54,8 +52,11 @@ task("functions-deploy-vault", "Deploys the CompliantVault contract")
       networks[network.name]["functionsOracleProxy"],
       taskArgs.subid,
       request.source,
+      request.codeLocation,
+      request.sourceHash ?? ethers.constants.HashZero,
       request.secrets,
-      taskArgs.gaslimit
+      taskArgs.gaslimit,
+      networks[network.name].nativeCurrencySymbol
     )
 
     console.log(`\nWaiting 1 block for transaction ${compliantVaultContract.deployTransaction.hash} to be confirmed...`)
@@ -77,8 +78,11 @@ task("functions-deploy-vault", "Deploys the CompliantVault contract")
             networks[network.name]["functionsOracleProxy"],
             taskArgs.subid,
             request.source,
+            request.codeLocation,
+            request.sourceHash ?? ethers.constants.HashZero,
             request.secrets,
             taskArgs.gaslimit,
+            networks[network.name].nativeCurrencySymbol,
           ],
         })
         console.log("Contract verified")
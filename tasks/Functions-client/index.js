@@ -12,3 +12,4 @@ exports.checkUpkeep = require("./checkUpkeep.js")
 exports.performUpkeep = require("./performManualUpkeep.js")
 exports.setAutoRequest = require("./setAutoRequest.js")
 exports.clearGists = require("./clearGists.js")
+exports.bundle = require("./bundle.js")
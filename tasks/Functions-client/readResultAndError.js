@@ -1,12 +1,12 @@
 const { getDecodedResultLog } = require("../../FunctionsSandboxLibrary")
-const path = require("path")
-const process = require("process")
+const utils = require("../utils")
 
 task(
   "functions-read",
   "Reads the latest response (or error) returned to a FunctionsConsumer or AutomatedFunctionsConsumer client contract"
 )
   .addParam("contract", "Address of the client contract to read")
+  .addOptionalParam("profile", "Name of the request profile of the config file to use", undefined, types.string)
   .addOptionalParam(
     "configpath",
     "Path to Functions request config file",
@@ -27,14 +27,12 @@ task(
     let latestError = await clientContract.latestError()
     if (latestError.length > 0 && latestError !== "0x") {
       const errorString = Buffer.from(latestError.slice(2), "hex").toString()
-      console.log(`\nOn-chain error message: ${Buffer.from(latestError.slice(2), "hex").toString()}`)
+      console.log(`\nOn-chain error message: ${errorString}\n${getDecodedResultLog({}, latestError, true)}`)
     }
 
     let latestResponse = await clientContract.latestResponse()
     if (latestResponse.length > 0 && latestResponse !== "0x") {
-      const requestConfig = require(path.isAbsolute(taskArgs.configpath)
-        ? taskArgs.configpath
-        : path.join(process.cwd(), taskArgs.configpath))
+      const requestConfig = utils.loadRequestConfig(taskArgs)
       console.log(
         `\nOn-chain response represented as a hex string: ${latestResponse}\n${getDecodedResultLog(
           requestConfig,
@@ -5,7 +5,6 @@ const utils = require("../utils")
 const chalk = require("chalk")
 const { deleteGist } = require("../utils/github")
 const { RequestStore } = require("../utils/artifact")
-const path = require("path")
 const process = require("process")
 
 task("functions-request", "Initiates a request from a Functions client contract")
@@ -24,6 +23,11 @@ task("functions-request", "Initiates a request from a Functions client contract"
     types.int
   )
   .addOptionalParam("requestgas", "Gas limit for calling the executeRequest function", 1_500_000, types.int)
+  .addOptionalParam(
+    "arg",
+    'Overrides of the args declared in the argsSchema of the config, ie: "requestType=Withdrawal amount=1000000000"'
+  )
+  .addOptionalParam("profile", "Name of the request profile of the config file to use", undefined, types.string)
   .addOptionalParam(
     "configpath",
     "Path to Functions request config file",
@@ -78,10 +82,12 @@ task("functions-request", "Initiates a request from a Functions client contract"
       throw Error(`Consumer contract ${contractAddr} is not registered to use subscription ${subscriptionId}`)
     }
 
-    const unvalidatedRequestConfig = require(path.isAbsolute(taskArgs.configpath)
-      ? taskArgs.configpath
-      : path.join(process.cwd(), taskArgs.configpath))
+    const unvalidatedRequestConfig = utils.loadRequestConfig(taskArgs)
     const requestConfig = getRequestConfig(unvalidatedRequestConfig)
+    // The FunctionsConsumer contract only sends Inline source code
+    if (requestConfig.codeLocation !== 0) {
+      throw Error("Remote source code can only be used with the CompliantVault contract (see functions-deploy-vault)")
+    }
 
     const simulatedSecretsURLBytes = `0x${Buffer.from(
       "https://exampleSecretsURL.com/f09fa0db8d1c8fab8861ec97b1d7fdf1/raw/d49bbd20dc562f035bdf8832399886baefa970c9/encrypted-functions-request-data-1679941580875.json"
@@ -206,7 +212,13 @@ task("functions-request", "Initiates a request from a Functions client contract"
           )
         }
         if (err !== "0x") {
-          console.log(`Error message returned to client contract: "${Buffer.from(err.slice(2), "hex")}"\n`)
+          console.log(
+            `Error message returned to client contract: "${Buffer.from(err.slice(2), "hex")}"\n${getDecodedResultLog(
+              requestConfig,
+              err,
+              true
+            )}`
+          )
         }
         ocrResponseEventReceived = true
         await store.update(requestId, { status: "complete", result })
@@ -4,8 +4,8 @@ const { getRequestConfig } = require("../../FunctionsSandboxLibrary")
 const { generateRequest } = require("./buildRequestJSON")
 const { RequestStore } = require("../utils/artifact")
 const { deleteGist } = require("../utils/github")
-const path = require("path")
 const process = require("process")
+const utils = require("../utils")
 
 task("functions-set-auto-request", "Updates the Functions request in a deployed AutomatedFunctionsConsumer contract")
   .addParam("contract", "Address of the client contract")
@@ -23,6 +23,7 @@ task("functions-set-auto-request", "Updates the Functions request in a deployed
     true,
     types.boolean
   )
+  .addOptionalParam("profile", "Name of the request profile of the config file to use", undefined, types.string)
   .addOptionalParam(
     "configpath",
     "Path to Functions request config file",
@@ -49,10 +50,12 @@ const setAutoRequest = async (contract, taskArgs) => {
   const autoClientContractFactory = await ethers.getContractFactory("AutomatedFunctionsConsumer")
   const autoClientContract = await autoClientContractFactory.attach(contract)
 
-  const unvalidatedRequestConfig = require(path.isAbsolute(taskArgs.configpath)
-    ? taskArgs.configpath
-    : path.join(process.cwd(), taskArgs.configpath))
+  const unvalidatedRequestConfig = utils.loadRequestConfig(taskArgs)
   const requestConfig = getRequestConfig(unvalidatedRequestConfig)
+  // The AutomatedFunctionsConsumer contract only sends Inline source code
+  if (requestConfig.codeLocation !== 0) {
+    throw Error("Remote source code can only be used with the CompliantVault contract (see functions-deploy-vault)")
+  }
 
   // doGistCleanup indicates if an encrypted secrets Gist was created automatically and should be cleaned up by the user after use
   let doGistCleanup = !(requestConfig.secretsURLs && requestConfig.secretsURLs.length > 0)
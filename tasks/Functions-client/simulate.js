@@ -1,18 +1,34 @@
 const {
   simulateRequest,
+  simulateDonRequest,
   buildRequest,
   getDecodedResultLog,
   getRequestConfig,
+  lintSource,
+  lintBundledSource,
+  getLintLog,
+  fetchSource,
+  getSourceSizeLog,
+  simulateProfiles,
 } = require("../../FunctionsSandboxLibrary")
 const { networks, SHARED_DON_PUBLIC_KEY } = require("../../networks")
-const path = require("path")
-const process = require("process")
+const utils = require("../utils")
 
 task("functions-simulate", "Simulates an end-to-end fulfillment locally for the FunctionsConsumer contract")
   .addOptionalParam(
     "gaslimit",
     "Maximum amount of gas that can be used to call fulfillRequest in the client contract (defaults to 100,000)"
   )
+  .addOptionalParam(
+    "nodes",
+    "Number of DON nodes which execute the source code, their outputs are aggregated & compared (defaults to a single execution)"
+  )
+  .addOptionalParam(
+    "arg",
+    'Overrides of the args declared in the argsSchema of the config, ie: "requestType=Withdrawal amount=1000000000"'
+  )
+  .addOptionalParam("profile", "Name of the request profile of the config file to use", undefined, types.string)
+  .addFlag("allprofiles", "Simulates the source code for every request profile of the config file & prints a summary")
   .addOptionalParam(
     "configpath",
     "Path to Functions request config file",
@@ -25,12 +41,28 @@ task("functions-simulate", "Simulates an end-to-end fulfillment locally for the
       throw Error('Simulated requests can only be conducted using --network "hardhat"')
     }
 
+    const numNodes = taskArgs.nodes === undefined ? undefined : Number(taskArgs.nodes)
+    if (numNodes !== undefined && (!Number.isInteger(numNodes) || numNodes < 1)) {
+      throw Error("Number of nodes must be a positive integer")
+    }
+
     // Check to see if the maximum gas limit has been exceeded
     const gasLimit = parseInt(taskArgs.gaslimit ?? "100000")
     if (gasLimit > 300000) {
       throw Error("Gas limit must be less than or equal to 300,000")
     }
 
+    // Every request profile is only executed in the sandbox, without simulating the on-chain request & fulfillment
+    if (taskArgs.allprofiles) {
+      if (taskArgs.profile || taskArgs.arg) {
+        throw Error("--allprofiles cannot be combined with --profile or --arg")
+      }
+      const requestConfig = utils.requireRequestConfig(taskArgs.configpath)
+      const { summaryLog } = await simulateProfiles(requestConfig)
+      console.log(`\n${summaryLog}`)
+      return
+    }
+
     // Recompile the latest version of the contracts
     console.log("\n__Compiling Contracts__")
     await run("compile")
@@ -62,10 +94,18 @@ task("functions-simulate", "Simulates an end-to-end fulfillment locally for the
     await registry.addConsumer(subscriptionId, client.address)
 
     // Build the parameters to make a request from the client contract
-    const unvalidatedRequestConfig = require(path.isAbsolute(taskArgs.configpath)
-      ? taskArgs.configpath
-      : path.join(process.cwd(), taskArgs.configpath))
+    const unvalidatedRequestConfig = utils.loadRequestConfig(taskArgs)
     const requestConfig = getRequestConfig(unvalidatedRequestConfig)
+    // Report nondeterministic constructs, which would prevent the DON nodes from agreeing on a response
+    const lintLog = getLintLog(
+      requestConfig.sourceMap
+        ? lintBundledSource(requestConfig.sourceMap)
+        : lintSource(await fetchSource(requestConfig))
+    )
+    if (lintLog) {
+      console.log(`\n${lintLog}`)
+    }
+    console.log(`\n${getSourceSizeLog(requestConfig, requestConfig.donLimits).log}`)
     // Fetch the mock DON public key
     const DONPublicKey = await oracle.getDONPublicKey()
     // Remove the preceding 0x from the DON public key
@@ -90,7 +130,11 @@ task("functions-simulate", "Simulates an end-to-end fulfillment locally for the
       // Simulating the JavaScript code locally
       console.log("\nExecuting JavaScript request source code locally...")
 
-      const { success, result, resultLog } = await simulateRequest(requestConfig)
+      // With --nodes, the outputs of every node are aggregated into the response like on a DON
+      const { success, result, resultLog } =
+        numNodes === undefined
+          ? await simulateRequest(requestConfig)
+          : await simulateDonRequest(requestConfig, numNodes)
       console.log(`\n${resultLog}`)
 
       // Simulate a request fulfillment
@@ -137,7 +181,13 @@ task("functions-simulate", "Simulates an end-to-end fulfillment locally for the
         }
         // Check for & log a request that returned an error message
         if (err !== "0x") {
-          console.log(`Error message returned to client contract: "${Buffer.from(err.slice(2), "hex")}"\n`)
+          console.log(
+            `Error message returned to client contract: "${Buffer.from(err.slice(2), "hex")}"\n${getDecodedResultLog(
+              requestConfig,
+              err,
+              true
+            )}`
+          )
         }
       })
 
@@ -1,4 +1,5 @@
 const { networks } = require("../../networks")
+const { ScreeningReasons, decodeScreeningError } = require("../../FunctionsSandboxLibrary/decodeScreeningResult")
 const utils = require("../utils")
 
 task("functions-vault-request", "Initiates a request from a CompliantVault contract")
@@ -6,6 +7,7 @@ task("functions-vault-request", "Initiates a request from a CompliantVault contr
   .addParam("amount", "Amount of ETH to deposit or withdraw")
   .addOptionalParam("deposit", "Flag indicating if deposit request should be made", false, types.boolean)
   .addOptionalParam("withdraw", "Flag indicating if withdraw request should be made", false, types.boolean)
+  .addOptionalParam("to", "Address receiving the ETH withdrawn, defaults to the sender", undefined, types.string)
   .addOptionalParam("requestgas", "Gas limit for calling the executeRequest function", 1_500_000, types.int)
   .setAction(async (taskArgs, hre) => {
     // A manual gas limit is required as the gas limit estimated by Ethers is not always accurate
@@ -25,6 +27,14 @@ task("functions-vault-request", "Initiates a request from a CompliantVault contr
     const amount = taskArgs.amount
     const deposit = taskArgs.deposit
     const withdraw = taskArgs.withdraw
+    const to = taskArgs.to
+
+    if (to && !withdraw) {
+      throw Error("The --to parameter can only be used with withdraw requests")
+    }
+    if (to && !ethers.utils.isAddress(to)) {
+      throw Error(`Invalid --to address ${to}`)
+    }
 
     const compliantVaultFactory = await ethers.getContractFactory("CompliantVault")
     const compliantVaultContract = compliantVaultFactory.attach(contractAddr)
@@ -115,8 +125,16 @@ task("functions-vault-request", "Initiates a request from a CompliantVault contr
         }
       )
       // Listen for request failure
+      // Errors thrown by the source code carry a code which tells API failures apart from non-compliant users
       compliantVaultContract.on("RequestFailed", async (err) => {
-        spinner.fail(`Request failed: ${err}.\n`)
+        const screeningError = decodeScreeningError(err)
+        if (screeningError) {
+          spinner.fail(
+            `Request failed with ${screeningError.name} (code ${screeningError.code}): ${screeningError.message}\n`
+          )
+        } else {
+          spinner.fail(`Request failed: ${Buffer.from(err.slice(2), "hex").toString()}\n`)
+        }
       })
       // Listen for approved deposit
       compliantVaultContract.on("DepositRequestFulfilled", async (_, requester, amount) => {
@@ -125,21 +143,27 @@ task("functions-vault-request", "Initiates a request from a CompliantVault contr
         )
       })
       // Listen for cancelled deposit
-      compliantVaultContract.on("DepositRequestCancelled", async (_, requester, amount) => {
+      compliantVaultContract.on("DepositRequestCancelled", async (_, requester, amount, reason) => {
         spinner.fail(
-          `Deposit request for ${hre.ethers.utils.formatUnits(amount, "ether")} from ${requester} was cancelled!\n`
+          `Deposit request for ${hre.ethers.utils.formatUnits(amount, "ether")} from ${requester} was cancelled: ${
+            ScreeningReasons[reason] ?? reason
+          }\n`
         )
       })
       // Listen for approved withdraw
-      compliantVaultContract.on("WithdrawalRequestFulfilled", async (_, requester, amount) => {
+      compliantVaultContract.on("WithdrawalRequestFulfilled", async (_, requester, recipient, amount) => {
         spinner.succeed(
-          `Withdrawal request for ${hre.ethers.utils.formatUnits(amount, "ether")} from ${requester} was fulfilled!\n`
+          `Withdrawal request for ${hre.ethers.utils.formatUnits(amount, "ether")} from ${requester}${
+            recipient === requester ? "" : ` to ${recipient}`
+          } was fulfilled!\n`
         )
       })
       // Listen for cancelled withdraw
-      compliantVaultContract.on("WithdrawalRequestCancelled", async (_, requester, amount) => {
+      compliantVaultContract.on("WithdrawalRequestCancelled", async (_, requester, amount, reason) => {
         spinner.fail(
-          `Withdrawal request for ${hre.ethers.utils.formatUnits(amount, "ether")} from ${requester} was cancelled!\n`
+          `Withdrawal request for ${hre.ethers.utils.formatUnits(amount, "ether")} from ${requester} was cancelled: ${
+            ScreeningReasons[reason] ?? reason
+          }\n`
         )
       })
 
@@ -147,6 +171,8 @@ task("functions-vault-request", "Initiates a request from a CompliantVault contr
 
       if (deposit) {
         requestTx = await compliantVaultContract.requestDeposit({ value: amount, ...overrides })
+      } else if (withdraw && to) {
+        requestTx = await compliantVaultContract.requestWithdrawalTo(amount, to, overrides)
       } else if (withdraw) {
         requestTx = await compliantVaultContract.requestWithdrawal(amount, overrides)
       }
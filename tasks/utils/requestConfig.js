@@ -0,0 +1,20 @@
+const { applyProfile, applyArgOverrides } = require("../../FunctionsSandboxLibrary")
+const path = require("path")
+const process = require("process")
+
+// Requires a request config file, whose path is either absolute or relative to the current working directory
+function requireRequestConfig(configpath) {
+  return require(path.isAbsolute(configpath) ? configpath : path.join(process.cwd(), configpath))
+}
+
+// Loads the request config file of the configpath task param with the request profile of the profile param, & the args
+// overridden by the arg param for the tasks which take it
+function loadRequestConfig(taskArgs) {
+  const requestConfig = requireRequestConfig(taskArgs.configpath)
+  return applyArgOverrides(applyProfile(requestConfig, taskArgs.profile), taskArgs.arg)
+}
+
+module.exports = {
+  requireRequestConfig,
+  loadRequestConfig,
+}
@@ -1,144 +1,207 @@
 const { expect } = require("chai")
 const { ethers } = require("hardhat")
-const { simulateRequest, getRequestConfig } = require("../../FunctionsSandboxLibrary")
-const { generateRequest } = require("../../tasks/Functions-client/buildRequestJSON")
+const { loadFixture, impersonateAccount, setBalance, time } = require("@nomicfoundation/hardhat-network-helpers")
+const cbor = require("cbor")
+const { simulateRequest, getRequestConfig, buildRequest } = require("../../FunctionsSandboxLibrary")
 const { SHARED_DON_PUBLIC_KEY } = require("../../networks")
-const requestConfigBase = require("../../Functions-request-config")
+const { HttpMode } = require("../../FunctionsSandboxLibrary/HttpFixtures")
+const requestConfig = require("../../Functions-request-config")
 
-const compliantAddress = "00D5e13662BC4Fae4498669b1b797FBE4cCc3Bd7"
-const nonCompliantAddress = "8589427373D6D84E98730D7795D8f6f8731FDA16"
+// Replayed HTTP requests are answered from test/fixtures/http without reaching the Chainalysis API, so a placeholder
+// API key is enough to run the tests offline
+const requestConfigBase =
+  process.env.FUNCTIONS_HTTP_MODE === HttpMode.Replay && !requestConfig.secrets.apiKey
+    ? { ...requestConfig, secrets: { ...requestConfig.secrets, apiKey: "replay" } }
+    : requestConfig
+
+const compliantAddress = "0x00D5e13662BC4Fae4498669b1b797FBE4cCc3Bd7"
+const nonCompliantAddress = "0x8589427373D6D84E98730D7795D8f6f8731FDA16"
+// Passes the Entity Risk screening of its deposit, but KYT reports direct exposure of its withdrawal attempts
+const exposedAddress = "0x6813Eb9362372EEF6200f3b1dbC3f819671cBA69"
+// Recipients of withdrawals to a different address than the requester
+const recipientAddress = "0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF"
+const nonCompliantRecipientAddress = "0x8589427373D6D84E98730D7795D8f6f8731FDA16"
+
+// The vault is deployed by a fixed account from the same chain state in every test & the requests are made at fixed
+// block timestamps, so the vault builds the same args on every run & the simulations find the fixtures named after them
+const vaultOwnerAddress = "0x000000000000000000000000000000000000c0DE"
+// Timestamp of the deposits, 2100-01-01, which is after the timestamps of the blocks mined before the requests.
+// Withdrawals are requested an hour later, after the blocks mined while the deposits are fulfilled.
+const requestTimestamp = 4_102_444_800
 
 const depositActionId = "0"
 const withdrawActionId = "1"
 
 describe("CompliantVault Integration Tests", async function () {
-  let vault, registry, accounts, deployer
+  let vault, oracle, registry
 
   beforeEach(async function () {
-    accounts = await ethers.getSigners()
-    deployer = accounts[0]
-
-    // Deploy a mock oracle & registry contract to simulate a fulfillment
-    const chainlink = await deployMockOracle()
-    const { oracle, linkToken } = chainlink
-    registry = chainlink.registry
-
-    // Add the wallet initiating the request to the oracle allowlist to authorize a simulated fulfillment
-    const allowlistTx = await oracle.addAuthorizedSenders([deployer.address])
-    await allowlistTx.wait(1)
-
-    // Create & fund a subscription
-    const createSubscriptionTx = await registry.createSubscription()
-    const createSubscriptionReceipt = await createSubscriptionTx.wait(1)
-    const subscriptionId = createSubscriptionReceipt.events[0].args["subscriptionId"].toNumber()
-    const juelsAmount = ethers.utils.parseUnits("10")
-    await linkToken.transferAndCall(
-      registry.address,
-      juelsAmount,
-      ethers.utils.defaultAbiCoder.encode(["uint64"], [subscriptionId])
-    )
-
-    // Generate source & secrets from the request config
-    const requestConfig = getRequestConfig(requestConfigBase)
-    const request = await generateRequest(requestConfig, { oracle: oracle.address, simulate: false })
+    ;({ vault, oracle, registry } = await loadFixture(deployCompliantVault))
+  })
 
-    // Deploy the client contract
-    const gasLimit = 300_000
-    const vaultFactory = await ethers.getContractFactory("CompliantVault")
-    vault = await vaultFactory.deploy(oracle.address, subscriptionId, request.source, request.secrets, gasLimit)
-    await vault.deployTransaction.wait(1)
+  it("Stores the hash of remote source code", async () => {
+    const sourceHash = ethers.utils.id("remote source code")
+    const sourceUrl = `https://gist.githubusercontent.com/user/${"a".repeat(32)}/raw/${"b".repeat(40)}/source.js`
+    const owner = await ethers.getSigner(vaultOwnerAddress)
+    await (await vault.connect(owner).updateSource(sourceUrl, 1, sourceHash)).wait(1)
 
-    // Authorize the client contract to use the subscription
-    await registry.addConsumer(subscriptionId, vault.address)
+    const source = await vault.getSource()
+    expect([source.source, source.codeLocation, source.sourceHash]).to.deep.equal([sourceUrl, 1, sourceHash])
   })
 
   it("Deposit approved", async () => {
-    // Initiate the request from the client contract
-    const requestTx = await vault.requestDeposit({ value: "1000" })
-    const requestTxReceipt = await requestTx.wait(1)
-    const requestId = requestTxReceipt.events[2].args.id
+    await deposit(compliantAddress)
 
-    // Simulate request execution
-    await simulateRequestAndFulfill(registry, requestId, {
-      ...requestConfigBase,
-      args: [depositActionId, compliantAddress],
-    })
-
-    expect(await vault.balanceOf(deployer.address)).to.equal(1000)
+    expect(await vault.balanceOf(compliantAddress)).to.equal(1000)
   })
 
   it("Deposit rejected", async () => {
-    // Initiate the request from the client contract
-    const requestTx = await vault.requestDeposit({ value: "1000" })
-    const requestTxReceipt = await requestTx.wait(1)
-    const requestId = requestTxReceipt.events[2].args.id
-
-    // Simulate request execution
-    await simulateRequestAndFulfill(registry, requestId, {
-      ...requestConfigBase,
-      args: [depositActionId, nonCompliantAddress],
-    })
+    await deposit(nonCompliantAddress)
 
-    expect(await vault.balanceOf(deployer.address)).to.equal(0)
+    expect(await vault.balanceOf(nonCompliantAddress)).to.equal(0)
   })
 
   it("Withdraw approved", async () => {
-    // Initiate the deposit request from the client contract
-    const depositRequestTx = await vault.requestDeposit({ value: "1000" })
-    const depositRequestTxReceipt = await depositRequestTx.wait(1)
-    const depositRequestId = depositRequestTxReceipt.events[2].args.id
-
-    // Simulate deposit request execution
-    await simulateRequestAndFulfill(registry, depositRequestId, {
-      ...requestConfigBase,
-      args: [depositActionId, compliantAddress],
-    })
-
-    expect(await vault.balanceOf(deployer.address)).to.equal(1000)
-
-    // Initiate the withdraw request from the client contract
-    const withdrawRequestTx = await vault.requestWithdrawal("1000")
-    const withdrawRequestTxReceipt = await withdrawRequestTx.wait(1)
-    const withdrawRequestId = withdrawRequestTxReceipt.events[2].args.id
-
-    // Simulate withdraw request execution
-    await simulateRequestAndFulfill(registry, withdrawRequestId, {
-      ...requestConfigBase,
-      args: [withdrawActionId, compliantAddress, "1000"],
-    })
-
-    expect(await vault.balanceOf(deployer.address)).to.equal(0)
+    await deposit(compliantAddress)
+    await withdraw(compliantAddress, (vault) => vault.requestWithdrawal("1000"))
+
+    expect(await vault.balanceOf(compliantAddress)).to.equal(0)
   })
 
   it("Withdraw rejected", async () => {
-    // Initiate the deposit request from the client contract
-    const depositRequestTx = await vault.requestDeposit({ value: "1000" })
-    const depositRequestTxReceipt = await depositRequestTx.wait(1)
-    const depositRequestId = depositRequestTxReceipt.events[2].args.id
-
-    // Simulate deposit request execution
-    await simulateRequestAndFulfill(registry, depositRequestId, {
-      ...requestConfigBase,
-      args: [depositActionId, compliantAddress],
-    })
-
-    expect(await vault.balanceOf(deployer.address)).to.equal(1000)
-
-    // Initiate the withdraw request from the client contract
-    const withdrawRequestTx = await vault.requestWithdrawal("1000")
-    const withdrawRequestTxReceipt = await withdrawRequestTx.wait(1)
-    const withdrawRequestId = withdrawRequestTxReceipt.events[2].args.id
-
-    // Simulate withdraw request execution
-    await simulateRequestAndFulfill(registry, withdrawRequestId, {
-      ...requestConfigBase,
-      args: [withdrawActionId, nonCompliantAddress, "1000"],
-    })
-
-    expect(await vault.balanceOf(deployer.address)).to.equal(1000)
+    await deposit(exposedAddress)
+    await withdraw(exposedAddress, (vault) => vault.requestWithdrawal("1000"))
+
+    expect(await vault.balanceOf(exposedAddress)).to.equal(1000)
+  })
+
+  it("Withdraw to recipient approved", async () => {
+    const recipientBalance = await ethers.provider.getBalance(recipientAddress)
+    await depositAndWithdrawTo(recipientAddress)
+
+    expect(await vault.balanceOf(compliantAddress)).to.equal(0)
+    expect(await ethers.provider.getBalance(recipientAddress)).to.equal(recipientBalance.add(1000))
+  })
+
+  it("Withdraw to high-risk recipient rejected", async () => {
+    // The requester is approved, so the withdrawal is rejected because of the recipient registered with KYT
+    const recipientBalance = await ethers.provider.getBalance(nonCompliantRecipientAddress)
+    await depositAndWithdrawTo(nonCompliantRecipientAddress)
+
+    expect(await vault.balanceOf(compliantAddress)).to.equal(1000)
+    expect(await ethers.provider.getBalance(nonCompliantRecipientAddress)).to.equal(recipientBalance)
   })
+
+  // Deposits from the requester & simulates the screening of the deposit
+  const deposit = async (requester) => {
+    const { requestId, args } = await sendRequest(requester, requestTimestamp, (vault) =>
+      vault.requestDeposit({ value: "1000" })
+    )
+    expect(args.slice(0, 2)).to.deep.equal([depositActionId, requester.toLowerCase()])
+
+    await simulateRequestAndFulfill(registry, requestId, { ...requestConfigBase, args })
+  }
+
+  // Requests a withdrawal from the requester after its deposit & simulates the screening of the withdrawal
+  const withdraw = async (requester, requestWithdrawal) => {
+    const { requestId, args } = await sendRequest(requester, requestTimestamp + 3600, requestWithdrawal)
+    expect(args.slice(0, 2)).to.deep.equal([withdrawActionId, requester.toLowerCase()])
+
+    await simulateRequestAndFulfill(registry, requestId, { ...requestConfigBase, args })
+  }
+
+  // Deposits from the compliant address & withdraws to the recipient, which is screened as the destination of the
+  // withdrawal after the requester
+  const depositAndWithdrawTo = async (recipient) => {
+    await deposit(compliantAddress)
+    expect(await vault.balanceOf(compliantAddress)).to.equal(1000)
+
+    await withdraw(compliantAddress, (vault) => vault.requestWithdrawalTo("1000", recipient))
+  }
+
+  // Sends a request to the vault from the requester in a block with the given timestamp. Resolves with the request ID &
+  // the args the vault built, read from the request the oracle emitted.
+  const sendRequest = async (requester, timestamp, request) => {
+    await time.setNextBlockTimestamp(timestamp)
+    const requestTx = await request(vault.connect(await ethers.getSigner(requester)))
+    const requestTxReceipt = await requestTx.wait(1)
+    const oracleRequest = requestTxReceipt.logs
+      .filter((log) => log.address === oracle.address)
+      .map((log) => oracle.interface.parseLog(log))
+      .find((event) => event.name === "OracleRequest")
+    return { requestId: oracleRequest.args.requestId, args: decodeRequestArgs(oracleRequest.args.data) }
+  }
 })
 
+// The oracle emits the request data as a sequence of CBOR items alternating between the name & the value of each field
+const decodeRequestArgs = (data) => {
+  const items = cbor.decodeAllSync(Buffer.from(data.slice(2), "hex"))
+  for (let i = 0; i < items.length; i += 2) {
+    if (items[i] === "args") {
+      return items[i + 1]
+    }
+  }
+  return []
+}
+
+// Deploys the mock oracle & a vault owned by vaultOwnerAddress. The tests load the chain state snapshotted after the
+// first deployment, so the vault has the same address & request nonce at the start of every test.
+const deployCompliantVault = async () => {
+  // Deploy a mock oracle & registry contract to simulate a fulfillment
+  const { oracle, registry, linkToken } = await deployMockOracle()
+
+  // Fund the vault owner & the requesters, whose transactions are sent from their impersonated accounts
+  const requesters = [compliantAddress, nonCompliantAddress, exposedAddress]
+  for (const address of [vaultOwnerAddress, ...requesters]) {
+    await impersonateAccount(address)
+    await setBalance(address, ethers.utils.parseEther("10"))
+  }
+
+  // Add the wallets creating the subscription & initiating the requests to the oracle allowlist to authorize a simulated
+  // fulfillment
+  const accounts = await ethers.getSigners()
+  const allowlistTx = await oracle.addAuthorizedSenders([accounts[0].address, ...requesters])
+  await allowlistTx.wait(1)
+
+  // Create & fund a subscription
+  const createSubscriptionTx = await registry.createSubscription()
+  const createSubscriptionReceipt = await createSubscriptionTx.wait(1)
+  const subscriptionId = createSubscriptionReceipt.events[0].args["subscriptionId"].toNumber()
+  const juelsAmount = ethers.utils.parseUnits("10")
+  await linkToken.transferAndCall(
+    registry.address,
+    juelsAmount,
+    ethers.utils.defaultAbiCoder.encode(["uint64"], [subscriptionId])
+  )
+
+  // Build the source & secrets from the request config. The simulated requests read their secrets from the config, so
+  // the vault stores an encrypted placeholder secrets URL instead of secrets uploaded to a Gist.
+  const request = await buildRequest({
+    ...requestConfigBase,
+    secretsURLs: ["https://example.com/secrets"],
+    DONPublicKey: SHARED_DON_PUBLIC_KEY,
+  })
+
+  // Deploy the client contract
+  const gasLimit = 300_000
+  const vaultFactory = await ethers.getContractFactory("CompliantVault", await ethers.getSigner(vaultOwnerAddress))
+  const vault = await vaultFactory.deploy(
+    oracle.address,
+    subscriptionId,
+    request.source,
+    request.codeLocation,
+    ethers.constants.HashZero,
+    request.secrets,
+    gasLimit,
+    "ETH"
+  )
+  await vault.deployTransaction.wait(1)
+
+  // Authorize the client contract to use the subscription
+  await registry.addConsumer(subscriptionId, vault.address)
+  return { vault, oracle, registry }
+}
+
 const simulateRequestAndFulfill = async (registry, requestId, config) => {
   const requestConfig = getRequestConfig(config)
   const { success, result } = await simulateRequest(requestConfig)
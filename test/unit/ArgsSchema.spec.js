@@ -0,0 +1,44 @@
+const { expect } = require("chai")
+const { getRequestConfig, applyArgOverrides, ArgType } = require("../../FunctionsSandboxLibrary")
+
+describe("Args Schema Unit Tests", async function () {
+  const argsSchema = [
+    { name: "requestType", type: ArgType.Enum, values: { Deposit: "0", Withdrawal: "1" } },
+    { name: "address", type: ArgType.Address, list: true },
+    { name: "amount", type: ArgType.Uint, optional: true },
+    { name: "requestId", type: ArgType.String, optional: true, pattern: /^0x[0-9a-fA-F]{1,64}$/ },
+  ]
+  const address = "0x00D5e13662BC4Fae4498669b1b797FBE4cCc3Bd7"
+  const config = (args) => ({ codeLocation: 0, codeLanguage: 0, source: "return Buffer.from('')", argsSchema, args })
+  const errorOf = (run) => {
+    try {
+      run()
+    } catch (error) {
+      return error.message
+    }
+  }
+
+  it("Overrides args by name & accepts the names of enum values", async () => {
+    const overridden = applyArgOverrides(config(["0", address]), `requestType=Withdrawal requestId=0x01`)
+
+    expect(getRequestConfig(overridden).args).to.deep.equal(["1", address, "", "0x01"])
+    expect(getRequestConfig(config(["0", `${address},${address}`, "1000"])).args).to.have.length(3)
+    expect(errorOf(() => applyArgOverrides(config([]), "recipient=0x01"))).to.equal(
+      "Invalid arg override recipient=0x01, expected name=value with a name of requestType, address, amount, requestId"
+    )
+  })
+
+  it("Rejects args which do not match their types", async () => {
+    expect(errorOf(() => getRequestConfig(config(["2", address.slice(2), "-1", "1", "extra"])))).to.equal(
+      `Args do not match the argsSchema in config:
+- args[0] (requestType) must be one of "0", "1", got "2"
+- args[1] (address) must be a comma separated list of 0x prefixed addresses, got "${address.slice(2)}"
+- args[2] (amount) must be a decimal uint256, got "-1"
+- args[3] (requestId) must be a string matching /^0x[0-9a-fA-F]{1,64}$/, got "1"
+- args[4] is not declared`
+    )
+    expect(errorOf(() => getRequestConfig(config(["", address])))).to.equal(
+      "Args do not match the argsSchema in config:\n- args[0] (requestType) is required but empty"
+    )
+  })
+})
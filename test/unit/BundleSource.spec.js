@@ -0,0 +1,83 @@
+const { expect } = require("chai")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { bundleSource, getSourceSizeLog, simulateRequest } = require("../../FunctionsSandboxLibrary")
+
+describe("Bundle Source Unit Tests", async function () {
+  let dir
+
+  before(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bundle-"))
+    fs.writeFileSync(
+      path.join(dir, "helpers.js"),
+      `import { createHash } from "crypto"
+
+export const hash = (value) => createHash("sha256").update(value).digest("hex")
+
+export function unusedHelper() {
+  return "tree-shaken"
+}
+
+export function fail(reason) {
+  throw Error(reason)
+}
+`
+    )
+    fs.writeFileSync(
+      path.join(dir, "entry.js"),
+      `import { hash, fail } from "./helpers"
+
+export default async function main() {
+  if (args[0] === "fail") {
+    fail("failed on purpose")
+  }
+  return Functions.encodeString(hash("bundled"))
+}
+`
+    )
+    fs.writeFileSync(path.join(dir, "noDefault.js"), `export const value = 1\n`)
+    fs.writeFileSync(path.join(dir, "disallowed.js"), `import fs from "fs"\nexport default async () => fs\n`)
+  })
+
+  after(async function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  const config = (bundle, args) => ({ codeLocation: 0, codeLanguage: 0, ...bundle, args })
+
+  it("Bundles the modules imported by the entry point into one tree-shaken & minified inline source", async () => {
+    const bundle = bundleSource(path.join(dir, "entry.js"))
+    const { success, result } = await simulateRequest(config(bundle, []))
+    const { log, exceeded } = getSourceSizeLog(config(bundle))
+
+    expect(bundle.source).to.not.include("tree-shaken")
+    expect(bundle.source).to.not.match(/^(import|export) /m)
+    expect(bundle.source).to.not.include("reason")
+    expect(bundle.sourceModules.map((module) => path.basename(module.path))).to.deep.equal(["helpers.js", "entry.js"])
+    // The minified bytes of each module add up to the source code, except for the call of the default export
+    expect(bundle.sourceModules.reduce((bytes, module) => bytes + module.bytes, 0)).to.equal(
+      Buffer.byteLength(bundle.source.slice(0, bundle.source.lastIndexOf("\nreturn ")))
+    )
+    expect(success).to.equal(true)
+    expect(Buffer.from(result.slice(2), "hex").toString()).to.equal(
+      require("crypto").createHash("sha256").update("bundled").digest("hex")
+    )
+    expect(log).to.include(`Total: ${Buffer.byteLength(bundle.source)} of 30000 bytes (beta limit profile)`)
+    expect(exceeded).to.equal(false)
+  })
+
+  it("Maps the stack trace of a bundled source to its modules", async () => {
+    const { success, resultLog } = await simulateRequest(config(bundleSource(path.join(dir, "entry.js")), ["fail"]))
+
+    // The frames keep the minified function names
+    expect(success).to.equal(false)
+    expect(resultLog).to.match(/at [\w$]+ \(.*helpers\.js:10:9\)/)
+    expect(resultLog).to.match(/at [\w$]+ \(.*entry\.js:5:5\)/)
+  })
+
+  it("Rejects entry points without a default export & disallowed built-in modules", async () => {
+    expect(() => bundleSource(path.join(dir, "noDefault.js"))).to.throw(/must export the body of the request/)
+    expect(() => bundleSource(path.join(dir, "disallowed.js"))).to.throw(/fs cannot be imported/)
+  })
+})
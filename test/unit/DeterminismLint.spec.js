@@ -0,0 +1,43 @@
+const { expect } = require("chai")
+const { lintSource, lintBundledSource, bundleSource } = require("../../FunctionsSandboxLibrary")
+
+describe("Determinism Lint Unit Tests", async function () {
+  const findingsOf = (source) => lintSource(source).map(({ rule, line, suppressed }) => ({ rule, line, suppressed }))
+
+  it("Reports nondeterministic constructs with their line numbers", async () => {
+    const source = `const response = await Functions.makeHttpRequest({ url: "https://example.com" })
+const { data } = response
+const first = data.items[0]
+const sorted = [...data.items].sort()[0]
+const id = Math.random() + Date.now() + new Date(0).getTime()
+while (true) {
+  await Functions.makeHttpRequest({ url: "https://example.com" })
+}
+return Functions.encodeString(data.names.join(","))`
+
+    expect(findingsOf(source)).to.deep.equal([
+      { rule: "iteration-order", line: 3, suppressed: false },
+      { rule: "random", line: 5, suppressed: false },
+      { rule: "time", line: 5, suppressed: false },
+      { rule: "unbounded-retry", line: 6, suppressed: false },
+      { rule: "iteration-order", line: 9, suppressed: false },
+    ])
+  })
+
+  it("Suppresses findings with determinism-ignore comments", async () => {
+    const source = `const a = Date.now() // determinism-ignore
+// determinism-ignore time -- logged only
+const b = new Date()
+// determinism-ignore random
+const c = new Date()`
+
+    expect(findingsOf(source)).to.deep.equal([
+      { rule: "time", line: 1, suppressed: true },
+      { rule: "time", line: 3, suppressed: true },
+      { rule: "time", line: 5, suppressed: false },
+    ])
+    expect(lintBundledSource(bundleSource("chainalysis.js").sourceMap).every(({ suppressed }) => suppressed)).to.equal(
+      true
+    )
+  })
+})
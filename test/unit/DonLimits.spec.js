@@ -0,0 +1,61 @@
+const { expect } = require("chai")
+const { simulateRequest } = require("../../FunctionsSandboxLibrary")
+const { getDonLimits } = require("../../FunctionsSandboxLibrary/DonLimits")
+const { startStubServer, sendJson } = require("../utils/stubServer")
+
+describe("DON Limits Unit Tests", async function () {
+  let server, baseUrl
+
+  before(async function () {
+    server = await startStubServer((req, res) => sendJson(res, 200, { ok: true }))
+    baseUrl = server.url
+  })
+
+  after(async function () {
+    await server.close()
+  })
+
+  const simulate = (source, config = {}) =>
+    simulateRequest({ codeLocation: 0, codeLanguage: 0, source, donLimits: "beta", ...config })
+
+  it("Reports the HTTP request which exceeded the request body limit", async () => {
+    const { success, exceededLimits, userHttpQueries, resultLog } = await simulate(
+      `const small = await Functions.makeHttpRequest({ url: "${baseUrl}/small", method: "POST", data: { a: 1 } })
+      const large = await Functions.makeHttpRequest({ url: "${baseUrl}/large", method: "POST", data: "a".repeat(2001) })
+      return Functions.encodeString(small.error + " " + large.error)`
+    )
+
+    expect(success).to.equal(true)
+    expect(exceededLimits).to.deep.equal(["maxHttpRequestBodyBytes"])
+    expect(userHttpQueries.map(({ error, limit }) => ({ error, limit }))).to.deep.equal([
+      { error: false, limit: undefined },
+      { error: true, limit: "maxHttpRequestBodyBytes" },
+    ])
+    expect(resultLog).to.include("__DON limits exceeded (beta limit profile)__\nmaxHttpRequestBodyBytes: 2000\n")
+  })
+
+  it("Enforces the limits of the profile unless overridden by the config", async () => {
+    const tooManyQueries = await simulate(
+      `for (let i = 0; i < 6; i++) await Functions.makeHttpRequest({ url: "${baseUrl}/" + i })`
+    )
+    const responseTooLarge = await simulate("return Buffer.alloc(257)")
+    const overridden = await simulate("return Buffer.alloc(257)", { maxResponseBytes: 512 })
+
+    expect(tooManyQueries.exceededLimits).to.deep.equal(["maxHttpQueries"])
+    expect(tooManyQueries.userHttpQueries).to.have.length(6)
+    expect(responseTooLarge.exceededLimits).to.deep.equal(["maxResponseBytes"])
+    expect(overridden.success).to.equal(true)
+  })
+
+  it("Overrides the limits of every profile with the DEFAULT_* environment variables", async () => {
+    process.env["DEFAULT_MAX_RESPONSE_BYTES"] = "512"
+    try {
+      expect(getDonLimits("beta")).to.include({ maxResponseBytes: 512, maxHttpQueries: 5 })
+      expect((await simulate("return Buffer.alloc(257)")).success).to.equal(true)
+      process.env["DEFAULT_MAX_RESPONSE_BYTES"] = "lots"
+      expect(() => getDonLimits()).to.throw("DEFAULT_MAX_RESPONSE_BYTES environment variable is not a positive integer")
+    } finally {
+      delete process.env["DEFAULT_MAX_RESPONSE_BYTES"]
+    }
+  })
+})
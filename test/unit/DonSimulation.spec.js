@@ -0,0 +1,77 @@
+const { expect } = require("chai")
+const { simulateDonRequest } = require("../../FunctionsSandboxLibrary")
+const { startStubServer, sendJson } = require("../utils/stubServer")
+
+describe("DON Simulation Unit Tests", async function () {
+  let server, baseUrl
+
+  before(async function () {
+    server = await startStubServer((req, res) => sendJson(res, 202, { ok: true }))
+    baseUrl = server.url
+  })
+
+  after(async function () {
+    await server.close()
+  })
+
+  const simulate = (source, config = {}, numNodes) =>
+    simulateDonRequest({ codeLocation: 0, codeLanguage: 0, source, ...config }, numNodes)
+  const uint256 = (value) => `0x${value.toString(16).padStart(64, "0")}`
+  const perNodeSecrets = [{ value: "1" }, { value: "9" }, { value: "5" }]
+
+  it("Aggregates the outputs of nodes using their per-node secrets", async () => {
+    const source = "return Functions.encodeUint256(Number(secrets.value))"
+    const mode = await simulate(source, { perNodeSecrets })
+    const median = await simulate(source, { perNodeSecrets, aggregationMethod: "median" })
+
+    expect(mode.nodes.map(({ secrets }) => secrets)).to.deep.equal([
+      "perNodeSecrets[0]",
+      "perNodeSecrets[1]",
+      "perNodeSecrets[2]",
+    ])
+    expect(mode.result).to.equal(uint256(1))
+    expect(median.result).to.equal(uint256(5))
+    expect(median.diverged).to.equal(true)
+    expect(median.resultLog).to.include("the output of node(s) 1, 2 differs from the aggregated output")
+  })
+
+  it("Responds with an error when most nodes returned one", async () => {
+    const { success, result, nodes } = await simulate(
+      "if (secrets.value !== '9') throw Error('bad value'); return Buffer.from('ok')",
+      { perNodeSecrets }
+    )
+
+    expect(nodes.map(({ success }) => success)).to.deep.equal([false, true, false])
+    expect(success).to.equal(false)
+    expect(Buffer.from(result.slice(2), "hex").toString()).to.equal("bad value")
+  })
+
+  it("Reports nondeterministic source code", async () => {
+    const deterministic = await simulate("return Functions.encodeString('same')", {}, 2)
+    const random = await simulate("return Functions.encodeUint256(Math.floor(Math.random() * 1e15))", {}, 2)
+
+    expect(deterministic.diverged).to.equal(false)
+    expect(deterministic.resultLog).to.include("All 2 nodes returned the same output & made the same HTTP requests")
+    expect(random.diverged).to.equal(true)
+    expect(random.resultLog).to.include("Nodes returned 2 different outputs")
+  })
+
+  it("Reports nodes which send different request bodies to the same URL", async () => {
+    const post = (body) =>
+      `await Functions.makeHttpRequest({ url: "${baseUrl}/attempts", method: "POST", data: ${body} })
+      return Functions.encodeString("registered")`
+    const perNodeKeys = [{ apiKey: "key-a" }, { apiKey: "key-b" }]
+    const sameBody = await simulate(post("{ key: secrets.apiKey, amount: '1' }"), { perNodeSecrets: perNodeKeys })
+    const randomBody = await simulate(post("{ key: secrets.apiKey, nonce: Math.random() }"), {
+      perNodeSecrets: perNodeKeys,
+    })
+
+    expect(sameBody.diverged).to.equal(false)
+    expect(sameBody.nodes[0].userHttpQueries[0].bodyHash).to.match(/^[0-9a-f]{16}$/)
+    expect(randomBody.result).to.equal(sameBody.result)
+    expect(randomBody.diverged).to.equal(true)
+    expect(randomBody.resultLog).to.match(
+      /Node 2 made different HTTP requests than node 1 from request #1: POST http:\/\/127\.0\.0\.1:\d+\/attempts \(body [0-9a-f]{16}\) instead of POST/
+    )
+  })
+})
@@ -0,0 +1,129 @@
+const { expect } = require("chai")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { FunctionsModule } = require("../../FunctionsSandboxLibrary/Functions")
+const { HttpFixtures, HttpMode } = require("../../FunctionsSandboxLibrary/HttpFixtures")
+const { getDecodedResultLog } = require("../../FunctionsSandboxLibrary")
+const { startStubServer, sendJson } = require("../utils/stubServer")
+
+describe("Functions Module Unit Tests", async function () {
+  let server, baseUrl
+  let hits = 0
+
+  before(async function () {
+    server = await startStubServer((req, res) => {
+      hits++
+      const status = req.url.startsWith("/missing") ? 404 : 200
+      sendJson(res, status, { ok: status === 200 })
+    })
+    baseUrl = server.url
+  })
+
+  after(async function () {
+    await server.close()
+  })
+
+  it("Records every HTTP request with secrets redacted", async () => {
+    const functionsModule = new FunctionsModule()
+    const Functions = functionsModule.buildFunctionsmodule(5, { apiKey: "secret key" })
+
+    await Functions.makeHttpRequest({ url: `${baseUrl}/data`, params: { key: "secret key", page: "1" } })
+    await Functions.makeHttpRequest({ url: `${baseUrl}/missing/secret%20key`, method: "post", data: {} })
+
+    const [success, failure] = functionsModule.userHttpQueries
+    expect(success).to.include({
+      method: "GET",
+      url: `${baseUrl}/data?key=[REDACTED]&page=1`,
+      status: 200,
+      responseBytes: 11,
+      error: false,
+    })
+    expect(success.duration).to.be.a("number")
+    expect(failure).to.include({
+      method: "POST",
+      url: `${baseUrl}/missing/[REDACTED]`,
+      status: 404,
+      responseBytes: 12,
+      error: true,
+    })
+  })
+
+  it("Records requests which could not reach the server", async () => {
+    const functionsModule = new FunctionsModule()
+    const Functions = functionsModule.buildFunctionsmodule(5, {})
+
+    await Functions.makeHttpRequest({ url: "http://127.0.0.1:1/unreachable" })
+
+    expect(functionsModule.userHttpQueries).to.have.length(1)
+    expect(functionsModule.userHttpQueries[0]).to.include({ status: undefined, responseBytes: 0, error: true })
+  })
+
+  it("Redirects HTTP requests & records them with their original URL", async () => {
+    const functionsModule = new FunctionsModule()
+    const Functions = functionsModule.buildFunctionsmodule(5, {}, undefined, undefined, {
+      "https://api.example.com": baseUrl,
+    })
+
+    const response = await Functions.makeHttpRequest({ url: "https://api.example.com/data" })
+
+    expect(response).to.include({ status: 200, error: false })
+    expect(functionsModule.userHttpQueries[0]).to.include({ url: "https://api.example.com/data", status: 200 })
+  })
+
+  it("Replays recorded HTTP requests without network access", async () => {
+    const fixtureFile = HttpFixtures.getFixtureFile(fs.mkdtempSync(path.join(os.tmpdir(), "fixtures-")), ["0"])
+    const recorder = new FunctionsModule().buildFunctionsmodule(
+      5,
+      { apiKey: "secret key" },
+      new HttpFixtures(HttpMode.Record, fixtureFile)
+    )
+    await recorder.makeHttpRequest({ url: `${baseUrl}/data`, params: { key: "secret key" } })
+    await recorder.makeHttpRequest({ url: `${baseUrl}/missing`, method: "post", data: { key: "secret key" } })
+    expect(fs.readFileSync(fixtureFile).toString()).to.not.include("secret key")
+
+    // A different secret value is redacted to the same URL
+    const serverHits = hits
+    const replayer = new FunctionsModule().buildFunctionsmodule(
+      5,
+      { apiKey: "other key" },
+      new HttpFixtures(HttpMode.Replay, fixtureFile)
+    )
+    const success = await replayer.makeHttpRequest({ url: `${baseUrl}/data`, params: { key: "other key" } })
+    const failure = await replayer.makeHttpRequest({ url: `${baseUrl}/missing`, method: "post" })
+
+    expect(hits).to.equal(serverHits)
+    expect(success).to.include({ status: 200, error: false })
+    expect(success.data).to.deep.equal({ ok: true })
+    expect(failure.error).to.equal(true)
+    expect(failure.response.status).to.equal(404)
+    await expect(replayer.makeHttpRequest({ url: `${baseUrl}/data` })).to.be.rejectedWith(
+      "No recorded response for HTTP request GET"
+    )
+  })
+
+  it("Encodes Solidity value types", async () => {
+    const address = "0x00D5e13662BC4Fae4498669b1b797FBE4cCc3Bd7"
+
+    expect(FunctionsModule.encodeBool(true).toString("hex")).to.equal("1".padStart(64, "0"))
+    expect(FunctionsModule.encodeAddress(address).toString("hex")).to.equal(
+      address.slice(2).toLowerCase().padStart(64, "0")
+    )
+    expect(FunctionsModule.encodeBytes32("0xabcd").toString("hex")).to.equal("abcd".padEnd(64, "0"))
+    expect(() => FunctionsModule.encodeBool(1)).to.throw("encodeBool invalid input")
+    expect(() => FunctionsModule.encodeAddress("0x1234")).to.throw("encodeAddress invalid input")
+    expect(() => FunctionsModule.encodeBytes32(Buffer.alloc(33))).to.throw("encodeBytes32 invalid input")
+  })
+
+  it("ABI encodes values which are decoded with an ABI type list", async () => {
+    const types = ["bool", "uint8", "uint64", "tuple(address,string)[]"]
+    const address = "0x00D5e13662BC4Fae4498669b1b797FBE4cCc3Bd7"
+
+    const result = FunctionsModule.encodeAbi(types, [true, 2, BigInt(1700000000), [[address, "Low"]]])
+
+    expect(getDecodedResultLog({ expectedReturnType: types }, "0x" + result.toString("hex"))).to.equal(
+      `Decoded as (bool,uint8,uint64,tuple(address,string)[]): [true, 2, 1700000000, [["${address}", "Low"]]]\n`
+    )
+    expect(() => FunctionsModule.encodeAbi(["uint8"], [256])).to.throw("encodeAbi invalid input")
+  })
+})
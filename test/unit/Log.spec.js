@@ -0,0 +1,55 @@
+const { expect } = require("chai")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { Log, MemorySink, FileSink } = require("../../FunctionsSandboxLibrary/Log")
+const { Sandbox } = require("../../FunctionsSandboxLibrary/Sandbox")
+
+describe("Log Unit Tests", async function () {
+  const secrets = { apiKey: 'se"cret key' }
+  const sinks = Log.sinks
+
+  afterEach(function () {
+    Log.setSinks(sinks)
+  })
+
+  it("Scrubs secrets & tags entries with the requestId of the context", async () => {
+    const memorySink = new MemorySink()
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "log-")), "log.jsonl")
+    Log.setSinks([memorySink, new FileSink(file)])
+
+    await Log.runWithContext({ requestId: "0x01", secrets }, async () => {
+      Log.error(`failed with ${secrets.apiKey}`)
+      Log.warn({ secrets }, "0x02")
+    })
+
+    expect(
+      memorySink.entries.map(({ logLevel, message, requestId }) => ({ logLevel, message, requestId }))
+    ).to.deep.equal([
+      { logLevel: "error", message: "failed with [REDACTED]", requestId: "0x01" },
+      { logLevel: "warn", message: '{"secrets":{"apiKey":"[REDACTED]"}}', requestId: "0x02" },
+    ])
+    const lines = fs.readFileSync(file).toString().trim().split("\n")
+    expect(lines.map((line) => JSON.parse(line))).to.deep.equal(memorySink.entries)
+  })
+
+  it("Scrubs secrets from the console output of sandboxed code", async () => {
+    const output = []
+    const write = process.stdout.write
+    process.stdout.write = (chunk) => output.push(chunk.toString())
+    try {
+      await new Sandbox(true, true).evaluate(
+        1,
+        "console.log('key:', secrets.apiKey); return Buffer.from('')",
+        [],
+        secrets,
+        5000,
+        64
+      )
+    } finally {
+      process.stdout.write = write
+    }
+
+    expect(output.join("")).to.include("key: [REDACTED]").and.not.include(secrets.apiKey)
+  })
+})
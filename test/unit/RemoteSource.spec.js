@@ -0,0 +1,70 @@
+const { expect } = require("chai")
+const { simulateRequest, buildRequest, getSourceHash, getRequestConfig } = require("../../FunctionsSandboxLibrary")
+const { startStubServer } = require("../utils/stubServer")
+
+describe("Remote Source Unit Tests", async function () {
+  const source = "return Functions.encodeString('remote')"
+  let server, baseUrl
+
+  before(async function () {
+    server = await startStubServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "application/javascript" })
+      res.end(source)
+    })
+    baseUrl = server.url
+  })
+
+  after(async function () {
+    await server.close()
+  })
+
+  // The URL of a Gist revision, which httpRedirects sends to the test server
+  const gistUrl = `https://gist.githubusercontent.com/user/${"a".repeat(32)}/raw/${"b".repeat(40)}/source.js`
+  const remoteConfig = (sourceHash, source = gistUrl) => ({
+    codeLocation: 1,
+    codeLanguage: 0,
+    source,
+    sourceHash,
+    httpRedirects: { "https://gist.githubusercontent.com": baseUrl },
+  })
+
+  it("Simulates & builds a request with the remote source code of the sourceHash", async () => {
+    const { success, result } = await simulateRequest(remoteConfig(getSourceHash(source)))
+    const request = await buildRequest(remoteConfig(getSourceHash(source)))
+
+    expect(success).to.equal(true)
+    expect(Buffer.from(result.slice(2), "hex").toString()).to.equal("remote")
+    expect(request).to.deep.equal({
+      codeLocation: 1,
+      source: gistUrl,
+      sourceHash: getSourceHash(source),
+    })
+  })
+
+  it("Rejects remote source code which does not match the sourceHash", async () => {
+    const sourceHash = getSourceHash("return Functions.encodeString('other')")
+
+    for (const run of [simulateRequest, buildRequest]) {
+      const error = await run(remoteConfig(sourceHash)).catch((error) => error)
+      expect(error.message).to.equal(
+        `Source code at ${gistUrl} has the hash ${getSourceHash(source)}, expected ${sourceHash}`
+      )
+    }
+  })
+
+  it("Only accepts the raw URLs of Gist revisions, which always serve the same content", async () => {
+    const sourceHash = getSourceHash(source)
+
+    expect(getRequestConfig(remoteConfig(sourceHash)).source).to.equal(gistUrl)
+    for (const url of [
+      `${baseUrl}/source.js`,
+      `https://evil.com/${sourceHash.slice(2)}.js`,
+      `https://gist.githubusercontent.com/user/${"a".repeat(32)}/raw/source.js`,
+      `https://gist.githubusercontent.com.evil.com/user/${"a".repeat(32)}/raw/${"b".repeat(40)}/source.js`,
+    ]) {
+      expect(() => getRequestConfig(remoteConfig(sourceHash, url))).to.throw(
+        "source must be the raw URL of a Gist revision when codeLocation is Remote in config"
+      )
+    }
+  })
+})
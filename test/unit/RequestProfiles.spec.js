@@ -0,0 +1,49 @@
+const { expect } = require("chai")
+const { applyProfile, getProfileNames, simulateProfiles, ArgType } = require("../../FunctionsSandboxLibrary")
+
+describe("Request Profiles Unit Tests", async function () {
+  const config = {
+    codeLocation: 0,
+    codeLanguage: 0,
+    source:
+      "if (args[0] === 'fail') throw Error('screening failed'); return Functions.encodeString(args[0] + secrets.tier)",
+    secrets: { apiKey: "key", tier: "-low" },
+    argsSchema: [{ name: "requestType", type: ArgType.Enum, values: { Deposit: "deposit", Fail: "fail" } }],
+    args: ["deposit"],
+    expectedReturnType: "string",
+    profiles: {
+      deposit: {},
+      "deposit-high-risk": { secrets: { tier: "-high" } },
+      failing: { args: ["fail"] },
+      invalid: { args: ["withdraw"] },
+    },
+  }
+
+  it("Merges the fields of a profile over the config", async () => {
+    expect(getProfileNames(config)).to.deep.equal(["deposit", "deposit-high-risk", "failing", "invalid"])
+    expect(applyProfile(config)).to.not.have.property("profiles")
+    expect(applyProfile(config, "deposit-high-risk").secrets).to.deep.equal({ apiKey: "key", tier: "-high" })
+    expect(applyProfile(config, "failing").args).to.deep.equal(["fail"])
+    expect(() => applyProfile(config, "withdraw")).to.throw(
+      "Unknown request profile withdraw, expected one of deposit, deposit-high-risk, failing, invalid"
+    )
+    expect(() => applyProfile(applyProfile(config), "deposit")).to.throw(
+      "Unknown request profile deposit, the config does not declare any profiles"
+    )
+  })
+
+  it("Simulates every profile & summarizes their outcomes", async () => {
+    const { profiles, summaryLog } = await simulateProfiles(config)
+
+    expect(profiles.map(({ profile, invalid, success }) => [profile, invalid, success])).to.deep.equal([
+      ["deposit", false, true],
+      ["deposit-high-risk", false, true],
+      ["failing", false, false],
+      ["invalid", true, false],
+    ])
+    expect(profiles[1].output).to.equal("deposit-high")
+    expect(summaryLog).to.contain("__Simulated 4 request profiles__")
+    expect(summaryLog).to.match(/failing +error +screening failed/)
+    expect(summaryLog).to.match(/invalid +invalid config +Args do not match the argsSchema/)
+  })
+})
@@ -0,0 +1,123 @@
+const { expect } = require("chai")
+const { Sandbox, SandboxError } = require("../../FunctionsSandboxLibrary/Sandbox")
+const { SandboxBackendType, ProcessBackend } = require("../../FunctionsSandboxLibrary/SandboxBackends")
+
+describe("Sandbox Unit Tests", async function () {
+  for (const backend of Object.values(SandboxBackendType)) {
+    describe(`${backend} backend`, async function () {
+      const evaluate = (source, timeoutMs = 1000, maxMemoryMb = 32) =>
+        new Sandbox(true, false, undefined, undefined, backend).evaluate(5, source, [], {}, timeoutMs, maxMemoryMb)
+
+      it("Returns the result of the source code", async () => {
+        const { result } = await evaluate("return Functions.encodeUint256(args.length + 1)")
+
+        expect(result.toString("hex")).to.equal("1".padStart(64, "0"))
+      })
+
+      it("Terminates source code which exceeds the timeout", async () => {
+        const error = await evaluate("while (true) {}", 500).catch((error) => error)
+
+        expect(error).to.be.instanceOf(SandboxError)
+        expect(error.name).to.equal("Timeout")
+      })
+
+      it("Terminates source code which exceeds the heap limit", async () => {
+        const error = await evaluate("const a = []; while (true) { a.push(new Array(100000).fill(1)) }").catch(
+          (error) => error
+        )
+
+        expect(error).to.be.instanceOf(SandboxError)
+        expect(error.name).to.equal("OutOfMemory")
+      })
+
+      it("Reports errors thrown by the source code", async () => {
+        const error = await evaluate('throw Error("failed")').catch((error) => error)
+
+        expect(error).to.be.instanceOf(SandboxError)
+        expect(error.message).to.equal("failed")
+      })
+
+      it("Reports errors thrown by timers & promises of the source code without printing their secrets", async () => {
+        const stderrWrite = process.stderr.write
+        let stderr = ""
+        process.stderr.write = (chunk, ...rest) => {
+          stderr += chunk
+          return stderrWrite.call(process.stderr, chunk, ...rest)
+        }
+        const evaluateWithSecret = (source) =>
+          new Sandbox(true, false, undefined, undefined, backend).evaluate(
+            5,
+            source,
+            [],
+            { apiKey: "SUPERSECRET123" },
+            1000,
+            32
+          )
+        try {
+          const timerError = await evaluateWithSecret(
+            'setTimeout(() => { throw Error("leak " + secrets.apiKey) }, 10); await new Promise((r) => setTimeout(r, 500))'
+          ).catch((error) => error)
+          const rejectionError = await evaluateWithSecret(
+            'Promise.reject(Error("rejected")); await new Promise((r) => setTimeout(r, 500))'
+          ).catch((error) => error)
+
+          expect(timerError).to.be.instanceOf(SandboxError)
+          expect(timerError.message).to.equal("leak SUPERSECRET123")
+          expect(rejectionError.message).to.equal("rejected")
+        } finally {
+          process.stderr.write = stderrWrite
+        }
+        expect(stderr).to.not.include("SUPERSECRET123")
+      })
+
+      it("Only allows the built-in modules in the allowlist", async () => {
+        const { result } = await evaluate('return require("crypto").createHash("sha256").update("").digest()')
+        const error = await evaluate('return require("fs")').catch((error) => error)
+
+        expect(result).to.have.length(32)
+        expect(error.message).to.equal("Cannot find module 'fs'")
+      })
+
+      it("Disallows code generation from strings", async () => {
+        const error = await evaluate('return eval("1")').catch((error) => error)
+
+        expect(error.name).to.equal("EvalError")
+      })
+
+      it("Does not let the source code compile code outside of its context through the objects it is given", async () => {
+        process.env["SANDBOX_ESCAPE_CANARY"] = "host environment"
+        try {
+          for (const escape of [
+            'args.constructor.constructor("return process")()',
+            'secrets.constructor.constructor("return process")()',
+            'Functions.encodeString.constructor("return process")()',
+            'Functions.encodeString("a").constructor.constructor("return process")()',
+            'require("util").format.constructor("return process")()',
+            'setTimeout(() => {}).constructor.constructor("return process")()',
+            'Object.getPrototypeOf(async function () {}).constructor("return process")()',
+            'Buffer.constructor("return process")()',
+          ]) {
+            const error = await evaluate(`return ${escape}.env.SANDBOX_ESCAPE_CANARY`).catch((error) => error)
+
+            expect(error, escape).to.be.instanceOf(SandboxError)
+          }
+        } finally {
+          delete process.env["SANDBOX_ESCAPE_CANARY"]
+        }
+      })
+    })
+  }
+
+  it("Refuses to start the process backend without the Node.js permission model", async () => {
+    const isSupported = ProcessBackend.isSupported
+    ProcessBackend.isSupported = () => false
+    try {
+      expect(() => new Sandbox(true, false, undefined, undefined, SandboxBackendType.Process)).to.throw(
+        "The process sandbox backend requires Node.js 20 or later"
+      )
+      expect(() => new Sandbox(true, false, undefined, undefined, SandboxBackendType.Worker)).to.not.throw()
+    } finally {
+      ProcessBackend.isSupported = isSupported
+    }
+  })
+})
@@ -0,0 +1,241 @@
+const { expect } = require("chai")
+const path = require("path")
+const {
+  simulateRequest,
+  decodeScreeningResult,
+  decodeBatchScreeningResult,
+  bundleSource,
+} = require("../../FunctionsSandboxLibrary")
+const { startStubServer, sendJson } = require("../utils/stubServer")
+
+const { source } = bundleSource(path.join(__dirname, "../../chainalysis.js"))
+
+const requester = "0x00D5e13662BC4Fae4498669b1b797FBE4cCc3Bd7"
+const recipient = "0x8589427373D6D84E98730D7795D8f6f8731FDA16"
+const requestId = "0x" + "01".padStart(64, "0")
+
+describe("Screening Providers Unit Tests", async function () {
+  let server, requests
+
+  // Responses served by the stub server, keyed by "METHOD /path"
+  const serveRoutes = async (routes) => {
+    requests = []
+    server = await startStubServer((req, res, body) => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body && JSON.parse(body) })
+      const route = Object.keys(routes).find((r) => `${req.method} ${req.url}`.startsWith(r))
+      const { status, data } = route ? routes[route] : { status: 404, data: {} }
+      sendJson(res, status, data)
+    })
+  }
+
+  // The simulation sends the requests made to the APIs of the screening providers to the stub server
+  const httpRedirects = () => ({
+    "https://api.chainalysis.com": server.url,
+    "https://public.chainalysis.com": server.url,
+    "https://api.trmlabs.com": server.url,
+  })
+
+  const screen = async (secrets, args, config = {}) => {
+    const { success, result } = await simulateRequest({
+      codeLocation: 0,
+      codeLanguage: 0,
+      source,
+      secrets,
+      args,
+      httpRedirects: httpRedirects(),
+      expectedReturnType: "screeningResult",
+      ...config,
+    })
+    expect(success, Buffer.from(result.slice(2), "hex").toString()).to.equal(true)
+    return decodeScreeningResult(result)
+  }
+
+  afterEach(async function () {
+    await server.close()
+  })
+
+  describe("Chainalysis", async function () {
+    const chainalysisRoutes = (risk, categories = []) => ({
+      "POST /api/risk/v2/entities": { status: 201, data: { address: requester } },
+      "GET /api/risk/v2/entities/": {
+        status: 200,
+        data: { risk, cluster: null, exposures: categories.map((category) => ({ category, value: 1 })), triggers: [] },
+      },
+      "POST /api/kyt/v2/users/": {
+        status: 202,
+        data: { externalId: "attempt", updatedAt: "2023-01-01T00:00:00" },
+      },
+      "GET /api/kyt/v2/withdrawal-attempts/attempt/exposures": { status: 200, data: { direct: { name: null } } },
+      "GET /api/kyt/v2/withdrawal-attempts/attempt/alerts": { status: 200, data: { alerts: [] } },
+    })
+
+    it("Deposit approved", async () => {
+      await serveRoutes(chainalysisRoutes("Low"))
+
+      const result = await screen({ apiKey: "key" }, ["0", requester])
+
+      expect(result).to.deep.equal({ approved: true, riskTier: "Low", reason: "Approved", categories: [] })
+      expect(requests[0].headers.token).to.equal("key")
+    })
+
+    it("Deposit rejected", async () => {
+      await serveRoutes(chainalysisRoutes("High", ["mixing"]))
+
+      const result = await screen({ apiKey: "key" }, ["0", requester])
+
+      expect(result).to.deep.equal({
+        approved: false,
+        riskTier: "High",
+        reason: "RiskTierExceeded",
+        categories: ["mixing"],
+      })
+    })
+
+    it("Withdrawal to recipient registers the recipient with KYT", async () => {
+      await serveRoutes(chainalysisRoutes("Low"))
+
+      const result = await screen({ apiKey: "key" }, [
+        "1",
+        requester,
+        "1000000000000000000",
+        "",
+        "1",
+        "ETH",
+        requestId,
+        recipient,
+        "chainalysis",
+        "1700000000",
+      ])
+
+      expect(result.approved).to.equal(true)
+      const attempt = requests.find((r) => r.url.endsWith("/withdrawal-attempts"))
+      expect(attempt.body.address).to.equal(recipient)
+      expect(attempt.body.assetAmount).to.equal("1")
+      expect(attempt.body.attemptTimestamp).to.equal("2023-11-14T22:13:20.000")
+    })
+
+    it("Withdrawal reports pending results once the HTTP query limit is spent", async () => {
+      const routes = chainalysisRoutes("Low")
+      delete routes["GET /api/kyt/v2/withdrawal-attempts/attempt/alerts"]
+      await serveRoutes(routes)
+      const args = ["1", requester, "1", "", "1", "ETH", requestId, "", "chainalysis", "1700000000"]
+
+      const result = await screen({ apiKey: "key" }, args, { numAllowedQueries: 4 })
+
+      expect(result).to.deep.equal({ approved: false, riskTier: "Low", reason: "Pending", categories: [] })
+      expect(requests.length).to.equal(4)
+    })
+
+    it("Batch holds the addresses which can be screened within the HTTP query budget", async () => {
+      await serveRoutes(chainalysisRoutes("Low"))
+      const batch = (addresses) =>
+        simulateRequest({
+          codeLocation: 0,
+          codeLanguage: 0,
+          source,
+          secrets: { apiKey: "key" },
+          args: ["3", addresses.join(",")],
+          httpRedirects: httpRedirects(),
+        })
+
+      const { result } = await batch([requester, recipient])
+      const oversized = await batch([requester, recipient, requester])
+
+      expect(decodeBatchScreeningResult(result, [requester, recipient])).to.deep.equal([
+        { address: requester, screened: true, compliant: true },
+        { address: recipient, screened: true, compliant: true },
+      ])
+      expect(oversized.success).to.equal(false)
+      expect(Buffer.from(oversized.result.slice(2), "hex").toString()).to.equal(
+        "E4:Invalid batch, expected 1 to 2 addresses"
+      )
+    })
+
+    it("Batch holds fewer addresses under a lower HTTP query limit", async () => {
+      await serveRoutes(chainalysisRoutes("Low"))
+
+      const { success, result } = await simulateRequest({
+        codeLocation: 0,
+        codeLanguage: 0,
+        source,
+        secrets: { apiKey: "key" },
+        args: ["3", [requester, recipient].join(",")],
+        httpRedirects: httpRedirects(),
+        numAllowedQueries: 3,
+      })
+
+      expect(success).to.equal(false)
+      expect(Buffer.from(result.slice(2), "hex").toString()).to.equal("E4:Invalid batch, expected 1 to 1 addresses")
+    })
+  })
+
+  describe("TRM Labs", async function () {
+    const trmRoutes = (addressRiskIndicators, entities = []) => ({
+      "POST /public/v2/screening/addresses": {
+        status: 201,
+        data: [{ address: requester, chain: "ethereum", addressRiskIndicators, entities }],
+      },
+    })
+
+    it("Deposit approved", async () => {
+      await serveRoutes(trmRoutes([]))
+
+      const result = await screen({ trmApiKey: "key" }, ["0", requester, "0", "", "1", "", "", "", "trm"])
+
+      expect(result).to.deep.equal({ approved: true, riskTier: "Low", reason: "Approved", categories: [] })
+      expect(requests[0].headers.authorization).to.equal(`Basic ${Buffer.from("key:key").toString("base64")}`)
+      expect(requests[0].body).to.deep.equal([{ address: requester, chain: "ethereum" }])
+    })
+
+    it("Deposit rejected", async () => {
+      await serveRoutes(
+        trmRoutes([{ category: "Mixer", categoryRiskScoreLevelLabel: "High", riskType: "COUNTERPARTY" }])
+      )
+
+      const result = await screen({ trmApiKey: "key" }, ["0", requester, "0", "", "1", "", "", "", "trm"])
+
+      expect(result).to.deep.equal({
+        approved: false,
+        riskTier: "High",
+        reason: "RiskTierExceeded",
+        categories: ["mixing"],
+      })
+    })
+
+    it("Sanctioned address", async () => {
+      await serveRoutes(trmRoutes([], [{ category: "Sanctions", entity: "OFAC SDN", riskScoreLevelLabel: "Severe" }]))
+
+      const result = await screen({ trmApiKey: "key" }, ["2", requester, "0", "", "1", "", "", "", "trm"])
+
+      expect(result).to.deep.equal({
+        approved: false,
+        riskTier: "Severe",
+        reason: "Sanctioned",
+        categories: ["sanctions"],
+      })
+    })
+
+    it("Withdrawal to recipient screens both addresses", async () => {
+      await serveRoutes(trmRoutes([]))
+
+      const result = await screen({ trmApiKey: "key" }, [
+        "1",
+        requester,
+        "1000000000000000000",
+        "",
+        "137",
+        "MATIC",
+        requestId,
+        recipient,
+        "trm",
+        "1700000000",
+      ])
+
+      expect(result.approved).to.equal(true)
+      expect(requests.map((r) => r.body[0])).to.deep.equal([
+        { address: requester, chain: "polygon" },
+        { address: recipient, chain: "polygon" },
+      ])
+    })
+  })
+})
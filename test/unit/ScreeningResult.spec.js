@@ -0,0 +1,45 @@
+const { expect } = require("chai")
+const path = require("path")
+const { buildSync } = require("esbuild")
+const {
+  RiskTiers,
+  ScreeningReasons,
+  ScreeningCategories,
+  ScreeningErrors,
+} = require("../../FunctionsSandboxLibrary/decodeScreeningResult")
+
+// Loads the tables chainalysis.js encodes its results & errors with from its ES modules
+const loadEncoding = () => {
+  const { outputFiles } = buildSync({
+    stdin: {
+      contents: 'export * from "./encoding"\nexport { ErrorCode } from "./errors"',
+      resolveDir: path.join(__dirname, "../../chainalysis"),
+    },
+    bundle: true,
+    write: false,
+    format: "cjs",
+    platform: "node",
+    logLevel: "silent",
+  })
+  const module = { exports: {} }
+  new Function("module", "exports", "require", outputFiles[0].text)(module, module.exports, require)
+  return module.exports
+}
+
+// Names of an enum object ordered by their value, so that they line up with the indexes of a decoding table
+const namesByValue = (enumObject) =>
+  Object.entries(enumObject).reduce((names, [name, value]) => {
+    names[value] = name
+    return names
+  }, [])
+
+describe("Screening Result Unit Tests", async function () {
+  const encoding = loadEncoding()
+
+  it("Decodes with the same tables as chainalysis.js encodes with", async () => {
+    expect(RiskTiers).to.deep.equal(encoding.RiskTiers)
+    expect(ScreeningReasons).to.deep.equal(namesByValue(encoding.Reason))
+    expect(ScreeningCategories).to.deep.equal(encoding.ScreeningCategories)
+    expect(ScreeningErrors).to.deep.equal(namesByValue({ Unclassified: 0, ...encoding.ErrorCode }))
+  })
+})
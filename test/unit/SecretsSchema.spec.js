@@ -0,0 +1,60 @@
+const { expect } = require("chai")
+const { simulateRequest, buildRequest, getSecretsUsage, applyProfile } = require("../../FunctionsSandboxLibrary")
+const requestConfig = require("../../Functions-request-config")
+
+describe("Secrets Schema Unit Tests", async function () {
+  const source = `const { region } = secrets
+const key = secrets.apiKey + secrets["apiSecret"]
+return Functions.encodeString(region + key)`
+  const secretsSchema = {
+    apiKey: { pattern: /^key-/ },
+    apiSecret: {},
+  }
+  const config = (fields) => ({ codeLocation: 0, codeLanguage: 0, source, secretsSchema, ...fields })
+  const errorOf = (promise) => promise.then(() => undefined).catch((error) => error.message)
+
+  it("Lists the secrets read by the source code", async () => {
+    expect(getSecretsUsage(source)).to.deep.equal(["apiKey", "apiSecret", "region"])
+  })
+
+  it("Simulates & builds requests whose secrets match the schema", async () => {
+    const secrets = { apiKey: "key-1", apiSecret: "secret" }
+    const declared = { ...secretsSchema, region: { optional: true } }
+    const { success, result } = await simulateRequest(config({ secrets, secretsSchema: declared }))
+    // The empty secrets are not checked as every node has its own per-node secrets
+    const request = await buildRequest(
+      config({ secrets: {}, perNodeSecrets: [secrets, secrets], secretsSchema: declared })
+    )
+
+    expect(success).to.equal(true)
+    expect(Buffer.from(result.slice(2), "hex").toString()).to.equal("undefinedkey-1secret")
+    expect(request).to.deep.equal({ codeLocation: 0, source })
+  })
+
+  it("Rejects missing, empty, malformed & undeclared secrets in secrets & every perNodeSecrets entry", async () => {
+    const perNodeSecrets = [
+      { apiKey: "key-1", apiSecret: "secret" },
+      { apiKey: "1", apiSecret: "" },
+    ]
+    const expected = `Secrets do not match the secretsSchema in config:
+- secrets.apiSecret is required but missing
+- perNodeSecrets[1].apiKey does not match the pattern /^key-/
+- perNodeSecrets[1].apiSecret is required but empty
+- the source code reads secrets.region, which is not declared`
+    for (const run of [simulateRequest, buildRequest]) {
+      expect(await errorOf(run(config({ secrets: { apiKey: "key-1" }, perNodeSecrets })))).to.equal(expected)
+    }
+  })
+
+  it("Only requires the API key of the screening provider of each request profile", async () => {
+    const requiredSecrets = (profile) =>
+      Object.entries(applyProfile(requestConfig, profile).secretsSchema)
+        .filter(([, { optional }]) => !optional)
+        .map(([name]) => name)
+
+    expect(requiredSecrets("deposit")).to.deep.equal(["apiKey"])
+    expect(requiredSecrets("withdraw")).to.deep.equal(["apiKey"])
+    expect(requiredSecrets("deposit-trm")).to.deep.equal(["trmApiKey"])
+    expect(requiredSecrets("sanctions")).to.deep.equal(["sanctionsApiKey"])
+  })
+})
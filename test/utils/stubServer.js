@@ -0,0 +1,24 @@
+const http = require("http")
+
+// Starts an HTTP server on a free local port for the unit tests. handler(req, res, body) answers each request once its
+// body has been read. Resolves with the base URL of the server & a function which stops it.
+const startStubServer = async (handler) => {
+  const server = http.createServer((req, res) => {
+    let body = ""
+    req.on("data", (chunk) => (body += chunk))
+    req.on("end", () => handler(req, res, body))
+  })
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
+
+// Answers a request with a JSON body
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { "Content-Type": "application/json" })
+  res.end(JSON.stringify(data))
+}
+
+module.exports = { startStubServer, sendJson }